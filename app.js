@@ -1,25 +1,102 @@
 // Rank Score Calculator (Multi-file / Multi-sheet)
 // - Import multiple .txt files (each file = one group)
+// - Also imports .csv / .tsv crosstables and .xlsx / .xls workbooks (each sheet = one group)
+//   with a column mapping step; rows that cannot be used are listed, not dropped silently
 // - Calculate each group independently
 // - Export ONE .xlsx with multiple sheets (one sheet per group)
+// - Several events of one rating period can be chained: each later event starts from the
+//   final ratings of the events before it (one .xlsx per event + one net-change .txt)
 // - Supports opponent tokens like: 6 OR W6/D6/L6 (W/D/L shown in Excel, ignored in calculation)
+//   and unplayed rounds BYE, +6/-6 (forfeit) and =6, which are left out of the rating calculation
+// - Cross-checks total score vs W/D/L results and pairing reciprocity before export
+// - Accepts unrated players (rating empty or NR), who get a provisional initial rating
+// - Reads its own result workbooks back (workbookAudit.js) and lists every stored result that
+//   differs from a fresh calculation
+//
+// Parsing / validation / calculation live in ratingCore.js (no DOM), the workbook layout and
+// styling in ratingWorkbook.js (shared with the rateCli.js command line). This file is the page glue.
 //
 // IMPORTANT: Excel styling requires xlsx-js-style in index.html
 // <script src="https://cdn.jsdelivr.net/npm/xlsx-js-style@1.2.0/dist/xlsx.bundle.js"></script>
 
-let groups = []; // [{ fileName: string, sheetBase: string, players: string[][] }]
-
-let roundCount = 4;
-let fullMark = 2;
-let outputFileName = "output";
-
-const MIN_FINAL_RANK = 1550;
+const {
+  DEFAULT_RULES_PROFILE,
+  TIEBREAKS,
+  sanitizeSheetName,
+  parseDelimitedText,
+  parsePlayerRows,
+  detectRoundCount,
+  detectMarkPerRound,
+  isUnratedRating,
+  UNRATED,
+} = window.RatingCore;
+const {
+  validateGroups,
+  hasValidationErrors,
+  groupSettings,
+  buildRatingWorkbook,
+  buildChainedWorkbooks,
+  writeRatingWorkbook,
+} = window.RatingWorkbook;
+const {
+  readDelimitedTable,
+  readWorkbookTables,
+  guessColumnMapping,
+  applyColumnMapping,
+  describeColumns,
+  HEADER_SEARCH_ROWS,
+} = window.TableImport;
+const { readRatingWorkbook, auditGroup } = window.WorkbookAudit;
+
+// [{
+//   fileName: string, sheetBase: string, players: string[][],
+//   roundCount: number, markPerRound: number        (per group, detected on import, editable)
+//   event: string                                   ("" while only one event is imported)
+//   skipped: [{ rowNumber, reason, text }],
+//   source?: { label, rows: string[][], mapping }   (only for .csv / .tsv / .xlsx imports)
+//   audit?: { sheetName, language, rulesLabel, stored, columns }
+//                                                   (re-imported result workbook, see workbookAudit.js)
+//   playerLinks?: [{ name, playerId, status }]      (one per player row, set by players.js)
+// }]
+let groups = [];
 
 // === UI reset hook (index.html calls this) ===
 window.clearImportedGroups = function () {
+  // The open session keeps the data, so flush it before the groups are dropped
+  if (typeof window.closeSession === "function") window.closeSession();
   groups = [];
+  renderEventList();
+  renderImportDetails();
+  refreshResultsGrid();
+  refreshRegistryLinks();
 };
 
+// Used by sessions.js when a saved session is reopened
+function setImportedGroups(list) {
+  // Sessions saved before events / per-group rounds existed
+  groups = list.map((g) => ({ event: "", ...readPanelRoundSettings(), ...g }));
+  renderValidationReport([]);
+  renderEventList();
+  renderImportDetails();
+  refreshResultsGrid();
+  refreshRegistryLinks();
+}
+
+// resultsGrid.js draws the editable tables; the rest of the page works without it
+function refreshResultsGrid() {
+  if (typeof window.renderResultsGrid === "function") window.renderResultsGrid();
+}
+
+// players.js links every imported row to the player registry; optional as well
+function refreshRegistryLinks() {
+  if (typeof window.renderRegistryLinks === "function") window.renderRegistryLinks();
+}
+
+// sessions.js saves the imported groups + settings in IndexedDB; optional as well
+function requestSessionAutosave() {
+  if (typeof window.autosaveSession === "function") window.autosaveSession();
+}
+
 function readFileAsText(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
@@ -29,584 +106,764 @@ function readFileAsText(file) {
   });
 }
 
-function sanitizeSheetName(name) {
-  // Excel sheet name rules: max 31 chars, cannot contain: : \ / ? * [ ]
-  const cleaned = String(name)
-    .replace(/\.[^/.]+$/, "") // remove extension
-    .replace(/[:\\/?*\[\]]/g, "_")
-    .trim();
-  return (cleaned || "Group").slice(0, 31);
+function readFileAsArrayBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error || new Error("Failed to read file"));
+    reader.readAsArrayBuffer(file);
+  });
 }
 
-function makeUniqueSheetName(baseName, existing) {
-  let name = baseName.slice(0, 31);
-  if (!existing.has(name)) {
-    existing.add(name);
-    return name;
-  }
+function renderValidationReport(report) {
+  const box = document.getElementById("validationReport");
+  if (!box) return;
 
-  // Add suffix _2, _3 ... and keep within 31 chars
-  let i = 2;
-  while (true) {
-    const suffix = `_${i}`;
-    const trimmedBase = baseName.slice(0, Math.max(0, 31 - suffix.length));
-    const candidate = `${trimmedBase}${suffix}`;
-    if (!existing.has(candidate)) {
-      existing.add(candidate);
-      return candidate;
+  box.innerHTML = "";
+  const total = report.reduce((n, g) => n + g.issues.length, 0);
+  if (total === 0) {
+    box.classList.add("is-hidden");
+    return;
+  }
+  box.classList.remove("is-hidden");
+
+  const errorCount = report.reduce((n, g) => n + g.issues.filter((x) => x.level === "error").length, 0);
+  const heading = document.createElement("div");
+  heading.className = "validation-heading";
+  heading.textContent = `Validation: ${errorCount} error(s), ${total - errorCount} warning(s)`;
+  box.appendChild(heading);
+
+  for (const { groupName, issues } of report) {
+    if (issues.length === 0) continue;
+
+    const title = document.createElement("div");
+    title.className = "validation-group";
+    title.textContent = groupName;
+    box.appendChild(title);
+
+    const list = document.createElement("ul");
+    list.className = "validation-list";
+    for (const issue of issues) {
+      const li = document.createElement("li");
+      li.className = `validation-item is-${issue.level}`;
+      const where = issue.round ? `${issue.player}, round ${issue.round}` : issue.player;
+      li.textContent = `${issue.level === "error" ? "❌" : "⚠️"} ${where}: ${issue.message}`;
+      list.appendChild(li);
     }
-    i++;
+    box.appendChild(list);
   }
 }
 
-function isValidPlayerRow(row) {
-  // Expect at least: name, rank, k, ...
-  if (!row || row.length < 4) return false;
-  const rank = parseInt(row[1], 10);
-  const k = parseInt(row[2], 10);
-  return Number.isFinite(rank) && Number.isFinite(k);
+// ===== Import Handler (multi-file) =====
+function groupFromTable(fileName, label, rows) {
+  const mapping = guessColumnMapping(rows);
+  const { players, skipped } = applyColumnMapping(rows, mapping);
+  return {
+    fileName,
+    sheetBase: sanitizeSheetName(label),
+    players,
+    skipped,
+    source: { label, rows, mapping },
+  };
 }
 
-function parsePlayersFromText(text) {
-  const lines = String(text)
-    .replace(/\r/g, "")
-    .split("\n")
-    .map((l) => l.trim())
-    .filter(Boolean);
-
-  return lines
-    .map((line) => line.split(",").map((x) => x.trim()))
-    .filter(isValidPlayerRow);
+// A group sheet of a workbook written by Calculate; its stored results are kept for the audit
+function groupFromResultSheet(fileName, sheet) {
+  const { sheetName, groupName, language, rulesLabel, stored, columns } = sheet;
+  return {
+    fileName,
+    sheetBase: groupName.slice(0, 31), // already a sheet name when it was written
+    players: sheet.players,
+    skipped: sheet.skipped,
+    roundCount: sheet.roundCount,
+    markPerRound: sheet.markPerRound,
+    audit: { sheetName, language, rulesLabel, stored, columns },
+  };
 }
 
-function parseOpponentToken(token) {
-  if (token === undefined || token === null) {
-    return { opponentId: null, display: "" };
+// One file gives one group, except workbooks: one group per non-empty sheet. A result workbook
+// of this tool gives one group per group sheet (summary, standings and achievements are left out).
+async function readImportedFile(file) {
+  if (/\.(xlsx|xls)$/i.test(file.name)) {
+    const tables = readWorkbookTables(XLSX, await readFileAsArrayBuffer(file))
+      .filter((t) => t.rows.some((row) => row.some((cell) => cell !== "")));
+    const { sheets } = readRatingWorkbook(tables);
+    if (sheets.length > 0) return sheets.map((sheet) => groupFromResultSheet(file.name, sheet));
+    return tables.map((t) =>
+      groupFromTable(file.name, tables.length > 1 ? t.sheetName : file.name, t.rows)
+    );
   }
 
-  const raw = String(token).trim();
-  if (!raw) {
-    return { opponentId: null, display: "" };
+  const text = await readFileAsText(file);
+  if (/\.(csv|tsv)$/i.test(file.name)) {
+    return [groupFromTable(file.name, file.name, readDelimitedTable(text, file.name))];
   }
 
-  const first = raw[0].toUpperCase();
-  const maybeNumber =
-    first === "W" || first === "D" || first === "L" ? raw.slice(1) : raw;
-
-  const opponentId = parseInt(maybeNumber, 10);
-  return {
-    opponentId: Number.isFinite(opponentId) ? opponentId : null,
-    display: raw,
-  };
+  // Legacy .txt: name,rank,k,r1..rN,score without header
+  const { players, skipped } = parsePlayerRows(parseDelimitedText(text, ","));
+  return [{ fileName: file.name, sheetBase: sanitizeSheetName(file.name), players, skipped }];
 }
 
-// ===== Import Handler (multi-file) =====
-document.getElementById("importFile").addEventListener("change", async function (e) {
+async function handleImportFiles(e) {
   const files = Array.from(e.target.files || []);
   groups = [];
+  renderValidationReport([]); // report belongs to the previous import
+  renderEventList();
+  renderImportDetails();
 
   if (files.length === 0) return;
 
   try {
-    const texts = await Promise.all(files.map(readFileAsText));
-    groups = texts.map((txt, idx) => {
-      const file = files[idx];
-      const players = parsePlayersFromText(txt);
-      return {
-        fileName: file.name,
-        sheetBase: sanitizeSheetName(file.name),
-        players,
-      };
-    });
+    const perFile = await Promise.all(files.map(readImportedFile));
+    groups = perFile.flat().map((g) => ({ ...withDetectedRoundSettings(g), event: "" }));
   } catch (err) {
     console.error(err);
     alert("Failed to read one of the imported files. Please try again.");
     groups = [];
   }
-});
 
-// ===== Calculation Entry =====
-function calculate() {
-  roundCount = parseInt(document.getElementById("rounds").value, 10);
-  fullMark = parseInt(document.getElementById("markPerRound").value, 10) * roundCount;
-  outputFileName = document.getElementById("fileName").value || "output";
+  renderEventList();
+  renderImportDetails();
+  refreshResultsGrid();
+  refreshRegistryLinks();
+  requestSessionAutosave();
+}
 
-  if (!groups.length) {
-    alert("Please import at least one valid .txt file");
-    return;
-  }
+// ===== Round Count / Mark per Group =====
+function readPanelRoundSettings() {
+  return {
+    roundCount: parseInt(document.getElementById("rounds").value, 10),
+    markPerRound: parseInt(document.getElementById("markPerRound").value, 10),
+  };
+}
 
-  // Build one workbook with multiple sheets
-  const workbook = XLSX.utils.book_new();
-  const usedSheetNames = new Set();
-
-  // One update text file output for ALL groups
-  const updateLines = [];
-
-  for (const group of groups) {
-    if (!group.players || group.players.length === 0) continue;
-
-    const { wsData, meta, groupUpdateLines } = calculateGroup(group.players, group.sheetBase);
-    updateLines.push(...groupUpdateLines);
-
-    const worksheet = XLSX.utils.aoa_to_sheet(wsData);
-
-    applySheetFormatting(worksheet, {
-      sheetTitle: meta.sheetTitle,
-      groupName: meta.groupName,
-      roundCount: meta.roundCount,
-      totalCols: meta.totalCols,
-      headerRowIndex: meta.headerRowIndex,
-      dataStartRowIndex: meta.dataStartRowIndex,
-      dataRowCount: meta.dataRowCount,
-      avgOppCol: meta.avgOppCol,
-      expectedCol: meta.expectedCol,
-      roundsStartCol: meta.roundsStartCol,
-      changeCol: meta.changeCol,
-      legendRowIndex: meta.legendRowIndex,
-      groupRowIndex: meta.groupRowIndex,
-      kTableStartRow: meta.kTableStartRow,
-      adjustedFinalFlags: meta.adjustedFinalFlags,
-    });
+// Round count from the file's columns, mark from its W/D/L results; the panel values otherwise.
+// Values the import already knows (result workbooks) are kept.
+function withDetectedRoundSettings(group) {
+  const panel = readPanelRoundSettings();
+  const roundCount = group.roundCount || detectRoundCount(group.players) || panel.roundCount;
+  const markPerRound = group.markPerRound || detectMarkPerRound(group.players, roundCount) || panel.markPerRound;
+  return { ...group, roundCount, markPerRound };
+}
 
-    const sheetName = makeUniqueSheetName(group.sheetBase, usedSheetNames);
-    XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
-  }
+function setGroupRoundSettings(groupIndex, changes) {
+  const group = groups[groupIndex];
+  if (!group) return;
+  Object.assign(group, changes);
 
-  if (workbook.SheetNames.length === 0) {
-    alert("No valid player rows found in the imported files.");
-    return;
-  }
+  renderValidationReport([]);
+  renderImportDetails();
+  refreshResultsGrid();
+  requestSessionAutosave();
+}
 
-  // Export workbook
-  XLSX.writeFile(workbook, `${outputFileName}.xlsx`);
+// The Round / Mark fields of the panel can apply to every imported group at once; groups keep
+// their own (detected or edited) value unless the user agrees to replace it
+function applyPanelRoundSettings(key) {
+  const value = readPanelRoundSettings()[key];
+  if (!Number.isFinite(value) || value < 1) return;
+  const changed = groups.filter((group) => group[key] !== value);
+  if (changed.length === 0) return;
+
+  const field = key === "roundCount" ? "Rounds" : "Mark";
+  const current = changed.map((group) => `${group.sheetBase}: ${group[key]}`).join(", ");
+  if (!confirm(`Set ${field} to ${value} for ${changed.length} imported group(s)? (now ${current})`)) return;
+
+  for (const group of changed) group[key] = value;
+  renderValidationReport([]);
+  renderImportDetails();
+  refreshResultsGrid();
+  requestSessionAutosave();
+}
 
-  // Export update text file (optional but keeps old workflow working)
-  if (updateLines.length > 0) {
-    downloadText(`${outputFileName}.txt`, updateLines.join("\n"));
-  }
+// ===== Events (several tournaments of one rating period, in the order played) =====
+// Event names in order; one entry ("") while a single event is imported
+function listEvents() {
+  return [...new Set(groups.map((g) => g.event || ""))];
+}
 
-  document.getElementById("resultMsg").innerText = "✅ Calculation completed. Files ready for download.";
+// Files chosen in "Add Next Event" become a new event after the existing ones
+async function handleNextEventFiles(e) {
+  const input = e.target;
+  const files = Array.from(input.files || []);
+  if (files.length === 0) return;
 
-  // Reset file list so user can start a new operation
-  if (typeof window.resetRankImportUI === "function") {
-    window.resetRankImportUI({ clearResult: false });
+  let added;
+  try {
+    added = (await Promise.all(files.map(readImportedFile))).flat();
+  } catch (err) {
+    console.error(err);
+    alert("Failed to read one of the imported files. Please try again.");
+    return;
+  } finally {
+    input.value = "";
   }
-}
 
-// ===== Group Calculation & Sheet Layout =====
-function calculateGroup(players, groupName) {
-  const adjustedFinalFlags = []; // boolean per data row
+  const existing = listEvents().filter(Boolean);
+  if (groups.some((g) => !g.event)) {
+    for (const g of groups) if (!g.event) g.event = "Event 1";
+    existing.unshift("Event 1");
+  }
+  let number = existing.length + 1;
+  while (existing.includes(`Event ${number}`)) number++;
+  groups = groups.concat(added.map((g) => ({ ...withDetectedRoundSettings(g), event: `Event ${number}` })));
+
+  renderValidationReport([]);
+  renderEventList();
+  renderImportDetails();
+  refreshResultsGrid();
+  refreshRegistryLinks();
+  requestSessionAutosave();
+}
 
-  const updatedPlayers = players.map((player, index) => {
-    const name = player[0];
-    const rank = parseInt(player[1], 10);
-    const k = parseInt(player[2], 10);
-    const score = parseFloat(player[3 + roundCount]);
+function renameEvent(oldName, newName) {
+  const name = newName.trim();
+  if (!name || name === oldName) return renderEventList();
+  if (listEvents().includes(name)) {
+    alert(`There is already an event named "${name}".`);
+    return renderEventList();
+  }
+  for (const g of groups) if (g.event === oldName) g.event = name;
+  renderEventList();
+  refreshResultsGrid();
+  requestSessionAutosave();
+}
 
-    // Calculate opponent average (ignore W/D/L, use only opponent id)
-    let total = 0;
-    let empty = 0;
+function removeEvent(name) {
+  if (!confirm(`Remove "${name}" and its groups from the calculation?`)) return;
+  groups = groups.filter((g) => g.event !== name);
+  // Back to a plain single-event import
+  if (listEvents().length === 1) for (const g of groups) g.event = "";
+
+  renderValidationReport([]);
+  renderEventList();
+  renderImportDetails();
+  refreshResultsGrid();
+  refreshRegistryLinks();
+  requestSessionAutosave();
+}
 
-    for (let i = 0; i < roundCount; i++) {
-      const { opponentId } = parseOpponentToken(player[3 + i]);
-      const opponentIndex = opponentId ? opponentId - 1 : -1;
+function renderEventList() {
+  const box = document.getElementById("eventList");
+  if (!box) return;
+  box.innerHTML = "";
+
+  const events = listEvents();
+  if (events.length < 2) return;
+
+  const heading = document.createElement("div");
+  heading.className = "event-list-title";
+  heading.textContent = `${events.length} events, calculated in this order (ratings carry over):`;
+  box.appendChild(heading);
+
+  events.forEach((name, index) => {
+    const row = document.createElement("div");
+    row.className = "event-row";
+
+    const number = document.createElement("span");
+    number.className = "event-number";
+    number.textContent = `${index + 1}.`;
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = name;
+    input.addEventListener("change", () => renameEvent(name, input.value));
+
+    const eventGroups = groups.filter((g) => g.event === name);
+    const info = document.createElement("span");
+    info.className = "event-info";
+    info.textContent = `${eventGroups.length} group(s): ${eventGroups.map((g) => g.sheetBase).join(", ")}`;
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => removeEvent(name));
+
+    row.appendChild(number);
+    row.appendChild(input);
+    row.appendChild(info);
+    row.appendChild(remove);
+    box.appendChild(row);
+  });
+}
 
-      if (opponentIndex >= 0 && players[opponentIndex]) {
-        total += parseInt(players[opponentIndex][1], 10);
-      } else {
-        empty++;
+// ===== Rounds / Mark, Column Mapping + Skipped Rows (below the file list) =====
+function renderImportDetails() {
+  const box = document.getElementById("importDetails");
+  if (!box) return;
+  box.innerHTML = "";
+
+  groups.forEach((group, groupIndex) => {
+    const card = document.createElement("div");
+    card.className = "import-card";
+
+    const title = document.createElement("div");
+    title.className = "import-card-title";
+    const from = group.source && group.source.label !== group.fileName ? ` (${group.fileName})` : "";
+    title.textContent = `${group.sheetBase}${from}: ${group.players.length} player(s)`;
+    card.appendChild(title);
+
+    card.appendChild(buildRoundSettingsForm(group, groupIndex));
+    if (group.source) card.appendChild(buildMappingForm(group, groupIndex));
+
+    if (group.skipped.length > 0) {
+      const heading = document.createElement("div");
+      heading.className = "import-skipped-title";
+      heading.textContent = `⚠️ ${group.skipped.length} row(s) skipped:`;
+      card.appendChild(heading);
+
+      const list = document.createElement("ul");
+      list.className = "import-skipped-list";
+      for (const row of group.skipped) {
+        const li = document.createElement("li");
+        li.textContent = `Row ${row.rowNumber}: ${row.reason} — ${row.text}`;
+        list.appendChild(li);
       }
+      card.appendChild(list);
     }
 
-    const divisor = roundCount - empty;
-    const avgOpponent = divisor > 0 ? Math.ceil(total / divisor) : 0;
-
-    const expected = Number(getExpectedScore(rank, avgOpponent)).toFixed(1);
-    const change = (score - parseFloat(expected)) * k;
-
-    const rawFinalRank = Math.round(rank + change);
-
-    // ✅ NEW RULE: If final < 1550, reset to 1550
-    const adjusted = rawFinalRank < MIN_FINAL_RANK;
-    const finalRank = adjusted ? MIN_FINAL_RANK : rawFinalRank;
-    adjustedFinalFlags.push(adjusted);
-
-    return [
-      index + 1,
-      name,
-      rank,
-      k,
-      ...player.slice(3, 3 + roundCount), // keep W/D/L token for display
-      score,
-      avgOpponent,
-      expected,
-      change.toFixed(1),
-      finalRank,
-    ];
+    if (group.audit) card.appendChild(buildAuditReport(group));
+
+    box.appendChild(card);
   });
+}
 
-  // Layout indices (0-based)
-  const totalCols = 9 + roundCount;
-  const headerRowIndex = 8;
-  const legendRowIndex = headerRowIndex - 2;
-  const groupRowIndex = headerRowIndex - 1;
+// Stored results of a re-imported result workbook against a fresh calculation with the settings
+// chosen here, one line per cell that differs
+function buildAuditReport(group) {
+  const { sheetName, rulesLabel } = group.audit;
+  const { sameRules, differences } = auditGroup(group.players, group.audit, groupSettings(group, readCalculatorSettings()));
+  const box = document.createElement("div");
+  box.className = "import-audit";
+
+  const heading = document.createElement("div");
+  heading.className = "import-audit-title";
+  heading.textContent = differences.length === 0
+    ? `✅ Sheet "${sheetName}": every stored result matches a fresh calculation.`
+    : `⚠️ Sheet "${sheetName}": ${differences.length} cell(s) differ from a fresh calculation:`;
+  box.appendChild(heading);
+
+  if (!sameRules) {
+    const note = document.createElement("div");
+    note.className = "import-audit-note";
+    note.textContent = `The sheet was made with "${rulesLabel}"; it is checked with the rules profile, rounds and mark chosen here.`;
+    box.appendChild(note);
+  }
+
+  if (differences.length > 0) {
+    const list = document.createElement("ul");
+    list.className = "import-skipped-list";
+    for (const d of differences) {
+      const li = document.createElement("li");
+      li.textContent = `${d.cell} ${d.player}, ${d.header}: ${d.stored || "(empty)"} in the sheet, ${d.calculated} calculated`;
+      list.appendChild(li);
+    }
+    box.appendChild(list);
+  }
+  return box;
+}
 
-  const dataStartRowIndex = headerRowIndex + 1;
-  const dataRowCount = updatedPlayers.length;
+function buildRoundSettingsForm(group, groupIndex) {
+  const panel = readPanelRoundSettings();
+  const roundCount = group.roundCount || panel.roundCount;
+  const markPerRound = group.markPerRound || panel.markPerRound;
+  const form = document.createElement("div");
+  form.className = "group-round-settings";
+
+  const roundsLabel = document.createElement("label");
+  roundsLabel.textContent = "Rounds:";
+  const rounds = document.createElement("input");
+  rounds.type = "number";
+  rounds.min = "1";
+  rounds.value = String(roundCount);
+  rounds.addEventListener("change", () => {
+    const value = parseInt(rounds.value, 10);
+    if (Number.isFinite(value) && value >= 1) setGroupRoundSettings(groupIndex, { roundCount: value });
+  });
 
-  const roundsStartCol = 4;
-  const avgOppCol = 5 + roundCount;     // 平均对手等级分
-  const expectedCol = 6 + roundCount;   // 期望分
-  const changeCol = 7 + roundCount;     // 变化
+  const markLabel = document.createElement("label");
+  markLabel.textContent = "Mark:";
+  const mark = document.createElement("select");
+  for (const value of [1, 2]) {
+    const option = document.createElement("option");
+    option.value = String(value);
+    option.textContent = String(value);
+    if (value === markPerRound) option.selected = true;
+    mark.appendChild(option);
+  }
+  mark.addEventListener("change", () => {
+    setGroupRoundSettings(groupIndex, { markPerRound: parseInt(mark.value, 10) });
+  });
 
-  // K-table has 5 rows, last row aligns with legendRowIndex
-  const kTableStartRow = legendRowIndex - 4;
+  form.appendChild(roundsLabel);
+  form.appendChild(rounds);
+  form.appendChild(markLabel);
+  form.appendChild(mark);
+  return form;
+}
 
-  // Build sheet array with empty rows up to the end of data
-  const wsData = [];
-  const totalRows = dataStartRowIndex + dataRowCount;
-  for (let r = 0; r < totalRows; r++) {
-    wsData.push(Array.from({ length: totalCols }, () => ""));
+function buildMappingForm(group, groupIndex) {
+  const { rows, mapping } = group.source;
+  const columns = describeColumns(rows, mapping);
+  const form = document.createElement("div");
+  form.className = "mapping-form";
+
+  function addSelect(labelText, key, options) {
+    const label = document.createElement("label");
+    label.textContent = labelText;
+    const select = document.createElement("select");
+    for (const [value, text] of options) {
+      const option = document.createElement("option");
+      option.value = String(value);
+      option.textContent = text;
+      if (value === mapping[key]) option.selected = true;
+      select.appendChild(option);
+    }
+    select.addEventListener("change", () => {
+      updateMapping(groupIndex, { [key]: parseInt(select.value, 10) });
+    });
+    form.appendChild(label);
+    form.appendChild(select);
   }
 
-  // Title row
-  wsData[0][0] = `${groupName} 等级分比赛`;
-
-  // Legend row (2 rows before header)
-  wsData[legendRowIndex][roundsStartCol] = "W=WIN";
-  wsData[legendRowIndex][roundsStartCol + 1] = "D=DRAW";
-  wsData[legendRowIndex][roundsStartCol + 2] = "L=LOSE";
-
-  // Group name row (between legend and header)
-  wsData[groupRowIndex][roundsStartCol + 1] = groupName;
-
-  // K-table above 平均对手等级分 & 期望分
-  wsData[kTableStartRow][avgOppCol] = "等级分";
-  wsData[kTableStartRow][expectedCol] = "K值";
-
-  wsData[kTableStartRow + 1][avgOppCol] = "2000或以上";
-  wsData[kTableStartRow + 1][expectedCol] = 10;
-
-  wsData[kTableStartRow + 2][avgOppCol] = "1700-1999";
-  wsData[kTableStartRow + 2][expectedCol] = 15;
-
-  wsData[kTableStartRow + 3][avgOppCol] = "1550-1699";
-  wsData[kTableStartRow + 3][expectedCol] = 20;
-
-  wsData[kTableStartRow + 4][avgOppCol] = "1549或以下";
-  wsData[kTableStartRow + 4][expectedCol] = 30;
-
-  // Header row (ONLY 等级分 column colored; others no fill)
-  wsData[headerRowIndex] = [
-    "编号",
-    "棋手",
-    "等级分",
-    "K值",
-    ...Array.from({ length: roundCount }, (_, i) => `第${i + 1}轮`),
-    "总得分",
-    "平均对手等级分",
-    "期望分",
-    "变化",
-    "最终等级分",
-  ];
-
-  // Data rows
-  for (let i = 0; i < updatedPlayers.length; i++) {
-    wsData[dataStartRowIndex + i] = updatedPlayers[i];
+  const columnOptions = columns.map((text, i) => [i, text]);
+  const headerOptions = [[-1, "No header row"]];
+  for (let r = 0; r < Math.min(rows.length, HEADER_SEARCH_ROWS); r++) {
+    headerOptions.push([r, `Row ${r + 1}: ${rows[r].filter(Boolean).slice(0, 4).join(" | ")}`]);
   }
 
-  // Update text lines: name, oldRank, newRank (use adjusted final)
-  const groupUpdateLines = updatedPlayers.map((row) => {
-    const name = row[1];
-    const oldRank = row[2];
-    const newRank = row[row.length - 1];
-    return `${name},${oldRank},${newRank}`;
+  addSelect("Header Row:", "headerRowIndex", headerOptions);
+  addSelect("Name Column:", "name", columnOptions);
+  addSelect("Rating Column:", "rating", columnOptions);
+  addSelect("K Column:", "k", [[-1, "(none, use K bands)"], ...columnOptions]);
+  addSelect("Total Score Column:", "total", columnOptions);
+
+  const roundsLabel = document.createElement("label");
+  roundsLabel.textContent = `Round Columns (${mapping.rounds.length} selected, in order):`;
+  form.appendChild(roundsLabel);
+
+  const roundsBox = document.createElement("div");
+  roundsBox.className = "mapping-rounds";
+  columns.forEach((text, i) => {
+    const item = document.createElement("label");
+    item.className = "mapping-round";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = mapping.rounds.includes(i);
+    checkbox.addEventListener("change", () => {
+      const next = mapping.rounds.filter((c) => c !== i);
+      if (checkbox.checked) next.push(i);
+      updateMapping(groupIndex, { rounds: next.sort((a, b) => a - b) });
+    });
+    item.appendChild(checkbox);
+    item.appendChild(document.createTextNode(text));
+    roundsBox.appendChild(item);
   });
+  form.appendChild(roundsBox);
 
-  return {
-    wsData,
-    meta: {
-      sheetTitle: `${groupName} 等级分比赛`,
-      groupName,
-      roundCount,
-      totalCols,
-      headerRowIndex,
-      legendRowIndex,
-      groupRowIndex,
-      dataStartRowIndex,
-      dataRowCount,
-      avgOppCol,
-      expectedCol,
-      roundsStartCol,
-      changeCol,
-      kTableStartRow,
-      adjustedFinalFlags,
-    },
-    groupUpdateLines,
-  };
+  return form;
 }
 
-function downloadText(filename, content) {
-  const blob = new Blob([content], { type: "text/plain" });
-  const a = document.createElement("a");
-  a.href = URL.createObjectURL(blob);
-  a.download = filename;
-  a.click();
+function updateMapping(groupIndex, changes) {
+  const group = groups[groupIndex];
+  if (!group || !group.source) return;
+
+  group.source.mapping = { ...group.source.mapping, ...changes };
+  const { players, skipped } = applyColumnMapping(group.source.rows, group.source.mapping);
+  group.players = players;
+  group.skipped = skipped;
+  if (group.source.mapping.rounds.length > 0) group.roundCount = group.source.mapping.rounds.length;
+
+  renderValidationReport([]);
+  renderImportDetails();
+  refreshResultsGrid();
+  refreshRegistryLinks();
+  requestSessionAutosave();
 }
 
-// ===== Expected Score (existing logic) =====
-function getExpectedScore(playerMark, oppMark) {
-  const diff = playerMark - oppMark;
-  const absDiff = Math.abs(diff);
-  const breakpoints = [
-    [0, 3, 0.5],
-    [4, 10, diff >= 0 ? 0.51 : 0.49],
-    [11, 17, diff >= 0 ? 0.52 : 0.48],
-    [18, 25, diff >= 0 ? 0.53 : 0.47],
-    [26, 32, diff >= 0 ? 0.54 : 0.46],
-    [33, 39, diff >= 0 ? 0.55 : 0.45],
-    [40, 46, diff >= 0 ? 0.56 : 0.44],
-    [47, 53, diff >= 0 ? 0.57 : 0.43],
-    [54, 61, diff >= 0 ? 0.58 : 0.42],
-    [62, 68, diff >= 0 ? 0.59 : 0.41],
-    [69, 76, diff >= 0 ? 0.6 : 0.4],
-    [77, 83, diff >= 0 ? 0.61 : 0.39],
-    [84, 91, diff >= 0 ? 0.62 : 0.38],
-    [92, 98, diff >= 0 ? 0.63 : 0.37],
-    [99, 106, diff >= 0 ? 0.64 : 0.36],
-    [107, 113, diff >= 0 ? 0.65 : 0.35],
-    [114, 121, diff >= 0 ? 0.66 : 0.34],
-    [122, 129, diff >= 0 ? 0.67 : 0.33],
-    [130, 137, diff >= 0 ? 0.68 : 0.32],
-    [138, 145, diff >= 0 ? 0.69 : 0.31],
-    [146, 153, diff >= 0 ? 0.7 : 0.3],
-    [154, 162, diff >= 0 ? 0.71 : 0.29],
-    [163, 170, diff >= 0 ? 0.72 : 0.28],
-    [171, 179, diff >= 0 ? 0.73 : 0.27],
-    [180, 188, diff >= 0 ? 0.74 : 0.26],
-    [189, 197, diff >= 0 ? 0.75 : 0.25],
-    [198, 206, diff >= 0 ? 0.76 : 0.24],
-    [207, 215, diff >= 0 ? 0.77 : 0.23],
-    [216, 225, diff >= 0 ? 0.78 : 0.22],
-    [226, 235, diff >= 0 ? 0.79 : 0.21],
-    [236, 245, diff >= 0 ? 0.8 : 0.2],
-    [246, 256, diff >= 0 ? 0.81 : 0.19],
-    [257, 267, diff >= 0 ? 0.82 : 0.18],
-    [268, 278, diff >= 0 ? 0.83 : 0.17],
-    [279, 290, diff >= 0 ? 0.84 : 0.16],
-    [291, 302, diff >= 0 ? 0.85 : 0.15],
-    [303, 315, diff >= 0 ? 0.86 : 0.14],
-    [316, 328, diff >= 0 ? 0.87 : 0.13],
-    [329, 344, diff >= 0 ? 0.88 : 0.12],
-    [345, 357, diff >= 0 ? 0.89 : 0.11],
-    [358, 374, diff >= 0 ? 0.9 : 0.1],
-    [375, 391, diff >= 0 ? 0.91 : 0.09],
-    [392, 411, diff >= 0 ? 0.92 : 0.08],
-    [412, 432, diff >= 0 ? 0.93 : 0.07],
-    [433, 456, diff >= 0 ? 0.94 : 0.06],
-    [457, 484, diff >= 0 ? 0.95 : 0.05],
-    [485, 517, diff >= 0 ? 0.96 : 0.04],
-    [518, 559, diff >= 0 ? 0.97 : 0.03],
-    [560, 619, diff >= 0 ? 0.98 : 0.02],
-    [620, 734, diff >= 0 ? 0.99 : 0.01],
-  ];
-
-  for (const [min, max, val] of breakpoints) {
-    if (absDiff >= min && absDiff <= max) return fullMark * val;
-  }
+const importFileInput = document.getElementById("importFile");
+if (importFileInput) importFileInput.addEventListener("change", handleImportFiles);
 
-  return diff >= 0 ? Number(fullMark).toFixed(1) : 0;
-}
-
-// ===== Excel Styling Helpers (xlsx-js-style) =====
-function applySheetFormatting(ws, opts) {
-  const {
-    sheetTitle,
-    groupName,
-    roundCount,
-    totalCols,
-    headerRowIndex,
-    dataStartRowIndex,
-    dataRowCount,
-    avgOppCol,
-    expectedCol,
-    roundsStartCol,
-    changeCol,
-    legendRowIndex,
-    groupRowIndex,
-    kTableStartRow,
-    adjustedFinalFlags,
-  } = opts;
-
-  ws["!merges"] = ws["!merges"] || [];
-
-  // Column widths (keep your current widths)
-  const widths = [];
-  widths.push({ wch: 6 });   // 编号
-  widths.push({ wch: 12 });  // 棋手
-  widths.push({ wch: 8 });   // 等级分
-  widths.push({ wch: 6 });   // K值
-  for (let i = 0; i < roundCount; i++) widths.push({ wch: 8 });
-  widths.push({ wch: 8 });   // 总得分
-  widths.push({ wch: 16 });  // 平均对手等级分
-  widths.push({ wch: 8 });   // 期望分
-  widths.push({ wch: 8 });   // 变化
-  widths.push({ wch: 12 });  // 最终等级分 (slightly wider)
-  ws["!cols"] = widths;
-
-  // Row heights (keep header same height as data rows)
-  ws["!rows"] = ws["!rows"] || [];
-  ws["!rows"][0] = { hpt: 24 }; // title row
-  ws["!rows"][headerRowIndex] = { hpt: 15 }; // header row normal height
-  for (let r = dataStartRowIndex; r < dataStartRowIndex + dataRowCount; r++) {
-    ws["!rows"][r] = { hpt: 15 };
-  }
+const nextEventFileInput = document.getElementById("nextEventFile");
+if (nextEventFileInput) nextEventFileInput.addEventListener("change", handleNextEventFiles);
 
-  const thinBorder = {
-    top: { style: "thin", color: { rgb: "000000" } },
-    bottom: { style: "thin", color: { rgb: "000000" } },
-    left: { style: "thin", color: { rgb: "000000" } },
-    right: { style: "thin", color: { rgb: "000000" } },
-  };
+for (const [id, key] of [["rounds", "roundCount"], ["markPerRound", "markPerRound"]]) {
+  const el = document.getElementById(id);
+  if (el) el.addEventListener("change", () => applyPanelRoundSettings(key));
+}
 
-  const baseCell = {
-    font: { name: "Calibri", sz: 11 },
-    alignment: { vertical: "center", horizontal: "center", wrapText: true },
-    border: thinBorder,
-  };
+// The audit of a re-imported result workbook follows the K source and rules profile
+for (const id of ["kSource", "rulesProfile"]) {
+  const el = document.getElementById(id);
+  if (el) el.addEventListener("change", () => {
+    if (groups.some((g) => g.audit)) renderImportDetails();
+  });
+}
 
-  const titleStyle = {
-    font: { name: "Calibri", sz: 18, bold: true },
-    alignment: { vertical: "center", horizontal: "left" },
-  };
+// ===== Standings Options =====
+const TIEBREAK_SELECT_IDS = ["tiebreak1", "tiebreak2", "tiebreak3", "tiebreak4"];
+const DEFAULT_TIEBREAKS = ["buchholz", "sonnebornBerger", "directEncounter", "wins"];
 
-  const headerStyle = {
-    font: { name: "Calibri", sz: 11}, //, bold: true 
-    alignment: {
-      vertical: "center",
-      horizontal: "center",
-      wrapText: false,
-      shrinkToFit: true,
-    },
-    border: thinBorder,
-  };
+// null when no standings sheet is wanted, otherwise { tiebreaks: [id] } in the chosen order
+function readStandingsSettings() {
+  const enabled = document.getElementById("standingsEnabled");
+  if (!enabled || !enabled.checked) return null;
+  const chosen = TIEBREAK_SELECT_IDS.map((id) => document.getElementById(id).value).filter(Boolean);
+  return { tiebreaks: [...new Set(chosen)] };
+}
+
+// Used by sessions.js when a saved session is reopened
+function applyStandingsSettings(standings) {
+  const enabled = document.getElementById("standingsEnabled");
+  if (!enabled) return;
+  enabled.checked = Boolean(standings);
+  const tiebreaks = standings ? standings.tiebreaks : DEFAULT_TIEBREAKS;
+  TIEBREAK_SELECT_IDS.forEach((id, i) => {
+    document.getElementById(id).value = tiebreaks[i] || "";
+  });
+  syncTiebreakOptions();
+}
 
-  // Only 等级分 header filled
-  const ratingHeaderFill = { patternType: "solid", fgColor: { rgb: "F4B183" } };
+function syncTiebreakOptions() {
+  const box = document.getElementById("tiebreakOptions");
+  if (box) box.classList.toggle("is-hidden", !document.getElementById("standingsEnabled").checked);
+}
 
-  // Legend fills
-  const legendWFill = { patternType: "solid", fgColor: { rgb: "FFD966" } };
-  const legendDFill = { patternType: "solid", fgColor: { rgb: "C6E0B4" } };
-  const legendLFill = { patternType: "solid", fgColor: { rgb: "9DC3E6" } };
+(function initStandingsOptions() {
+  const enabled = document.getElementById("standingsEnabled");
+  if (!enabled) return;
+
+  TIEBREAK_SELECT_IDS.forEach((id) => {
+    const select = document.getElementById(id);
+    for (const [value, text] of [["", "(none)"], ...TIEBREAKS.map((t) => [t.id, `${t.label} (${t.header})`])]) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    }
+  });
+
+  enabled.addEventListener("change", syncTiebreakOptions);
+  applyStandingsSettings(null);
+})();
+
+// ===== Calculation Entry =====
+// Settings from the panel: { roundCount, markPerRound, rules, kSource, standings }
+// (groups carry their own roundCount / markPerRound, see groupSettings in ratingWorkbook.js)
+function readCalculatorSettings() {
+  return {
+    ...readPanelRoundSettings(),
+    kSource: document.getElementById("kSource").value || "bands",
+    language: document.getElementById("sheetLanguage").value || "zh",
+    formulas: document.getElementById("excelFormulas").checked,
+    rules: typeof window.getSelectedRulesProfile === "function"
+      ? window.getSelectedRulesProfile()
+      : DEFAULT_RULES_PROFILE,
+    standings: readStandingsSettings(),
+  };
+}
 
-  // K table header fill
-  const kHeaderFill = { patternType: "solid", fgColor: { rgb: "D9D9D9" } };
+function calculate() {
+  const settings = readCalculatorSettings();
+  const outputFileName = document.getElementById("fileName").value || "output";
 
-  // ✅ Yellow fill for adjusted final rank cells
-  const adjustedFinalFill = { patternType: "solid", fgColor: { rgb: "FFFF00" } };
+  if (!groups.length) {
+    alert("Please import at least one valid .txt file");
+    return;
+  }
 
-  function addr(r, c) {
-    return XLSX.utils.encode_cell({ r, c });
+  // Cross-check scores and pairings before anything is exported
+  const events = listEvents();
+  const report = events.length > 1
+    ? events.flatMap((name) =>
+      validateGroups(groups.filter((g) => g.event === name), settings)
+        .map((g) => ({ ...g, groupName: `${name}: ${g.groupName}` })))
+    : validateGroups(groups, settings);
+  renderValidationReport(report);
+
+  if (hasValidationErrors(report)) {
+    document.getElementById("resultMsg").innerText = "";
+    alert("Validation failed. Please fix the errors listed below in the results table (or the file) and calculate again.");
+    return;
   }
 
-  function setCell(r, c, style) {
-    const a = addr(r, c);
-    if (!ws[a]) ws[a] = { t: "s", v: "" };
-    ws[a].s = { ...(ws[a].s || {}), ...style };
+  // Rows whose name matches several registry players need a choice first
+  if (typeof window.checkRegistryLinks === "function" && !window.checkRegistryLinks()) {
+    document.getElementById("resultMsg").innerText = "";
+    return;
   }
 
-  // Title row merge across full table width
-  ws["!merges"].push({
-    s: { r: 0, c: 0 },
-    e: { r: 0, c: totalCols - 1 },
-  });
-  setCell(0, 0, titleStyle);
+  if (events.length > 1) {
+    calculateEvents(settings, outputFileName);
+    return;
+  }
 
-  // Legend row colors (2 rows before header)
-  setCell(legendRowIndex, roundsStartCol,     { ...baseCell, font: { bold: true }, fill: legendWFill });
-  setCell(legendRowIndex, roundsStartCol + 1, { ...baseCell, font: { bold: true }, fill: legendDFill });
-  setCell(legendRowIndex, roundsStartCol + 2, { ...baseCell, font: { bold: true }, fill: legendLFill });
+  // Build one workbook with multiple sheets + one update text file for ALL groups
+  const { workbook, updateLines, groupResults, noFormulaGroups } = buildRatingWorkbook(XLSX, groups, settings);
 
-  // Group name between legend and header (merge across 3 cells)
-  ws["!merges"].push({
-    s: { r: groupRowIndex, c: roundsStartCol },
-    e: { r: groupRowIndex, c: roundsStartCol + 2 },
-  });
+  if (workbook.SheetNames.length === 0) {
+    alert("No valid player rows found in the imported files.");
+    return;
+  }
 
-  // Keep group row clean (no need borders), just centered bold text
-  setCell(groupRowIndex, roundsStartCol, {
-    font: { name: "Calibri", sz: 12, bold: true },
-    alignment: { vertical: "center", horizontal: "center" },
-  });
+  // Export workbook
+  downloadWorkbook(`${outputFileName}.xlsx`, workbook);
 
-  // K-table formatting (with borders), last row aligns with legend row
-  for (let r = kTableStartRow; r <= legendRowIndex; r++) {
-    for (let c = avgOppCol; c <= expectedCol; c++) {
-      const isHeader = r === kTableStartRow;
-      setCell(r, c, {
-        ...baseCell,
-        font: { name: "Calibri", sz: 11, bold: isHeader },
-        fill: isHeader ? kHeaderFill : undefined,
-      });
-    }
+  // Export update text file (optional but keeps old workflow working)
+  if (updateLines.length > 0) {
+    downloadText(`${outputFileName}.txt`, updateLines.join("\n"));
   }
 
-  // Header row: ONLY 等级分 filled, all header cells bold + thin border
-  for (let c = 0; c < totalCols; c++) {
-    const style = { ...headerStyle };
-    if (c === 2) style.fill = ratingHeaderFill;
-    setCell(headerRowIndex, c, style);
+  document.getElementById("resultMsg").innerText =
+    "✅ Calculation completed. Files ready for download." + noFormulasNotice(noFormulaGroups);
+
+  // Keep the results with the session and the player registry before the import UI is reset
+  const calculatedAt = new Date().toISOString();
+  let eventId = null;
+  if (typeof window.recordSessionResults === "function") {
+    eventId = window.recordSessionResults({ calculatedAt, updateLines, groups: groupResults });
+  }
+  showCalculationReport(outputFileName, calculatedAt, [{ name: "", groups, groupResults }], settings, eventId);
+  if (typeof window.recordRegistryResults === "function") {
+    window.recordRegistryResults([{
+      eventId: eventId || makeId(),
+      eventName: outputFileName,
+      calculatedAt,
+      groups,
+      groupResults,
+    }]);
   }
 
-  const finalCol = totalCols - 1;
+  // Reset file list so user can start a new operation
+  if (typeof window.resetRankImportUI === "function") {
+    window.resetRankImportUI({ clearResult: false });
+  }
+}
 
-  // Data rows: thin borders, round colors, change font colors, final yellow if adjusted
-  for (let r = dataStartRowIndex; r < dataStartRowIndex + dataRowCount; r++) {
-    const dataIndex = r - dataStartRowIndex; // 0-based within data
+// Several events: one workbook per event, each starting from the previous final ratings,
+// and one update text file with every player's net change
+function calculateEvents(settings, outputFileName) {
+  const events = listEvents().map((name) => ({ name, groups: groups.filter((g) => g.event === name) }));
+  const chained = buildChainedWorkbooks(XLSX, events, settings);
 
-    for (let c = 0; c < totalCols; c++) {
-      setCell(r, c, baseCell);
+  const empty = chained.events.filter((e) => e.workbook.SheetNames.length === 0);
+  if (empty.length > 0) {
+    alert(`No valid player rows found in: ${empty.map((e) => e.name).join(", ")}`);
+    return;
+  }
 
-      // Round coloring by W/D/L
-      if (c >= roundsStartCol && c < roundsStartCol + roundCount) {
-        const a = addr(r, c);
-        const v = ws[a] ? String(ws[a].v || "").trim() : "";
-        const first = v ? v[0].toUpperCase() : "";
-        if (first === "W") setCell(r, c, { ...baseCell, fill: legendWFill });
-        else if (first === "D") setCell(r, c, { ...baseCell, fill: legendDFill });
-        else if (first === "L") setCell(r, c, { ...baseCell, fill: legendLFill });
-      }
+  for (const event of chained.events) {
+    downloadWorkbook(`${outputFileName}_${sanitizeSheetName(event.name)}.xlsx`, event.workbook);
+  }
+  if (chained.updateLines.length > 0) {
+    downloadText(`${outputFileName}.txt`, chained.updateLines.join("\n"));
+  }
 
-      // 变化 column: green positive, red negative
-      if (c === changeCol) {
-        const a = addr(r, c);
-        const num = ws[a] ? parseFloat(ws[a].v) : NaN;
-        if (!Number.isNaN(num)) {
-          if (num > 0) setCell(r, c, { ...baseCell, font: { color: { rgb: "008000" }, bold: true } });
-          else if (num < 0) setCell(r, c, { ...baseCell, font: { color: { rgb: "C00000" }, bold: true } });
-        }
-      }
+  const carriedCount = chained.events.reduce((n, e) => n + e.carried.length, 0);
+  document.getElementById("resultMsg").innerText =
+    `✅ Calculated ${chained.events.length} events in order. ` +
+    `${carriedCount} starting rating(s) taken from an earlier event. Files ready for download.` +
+    noFormulasNotice(chained.events.flatMap((e) => e.noFormulaGroups.map((name) => `${e.name}: ${name}`)));
+
+  const calculatedAt = new Date().toISOString();
+  let sessionId = null;
+  if (typeof window.recordSessionResults === "function") {
+    sessionId = window.recordSessionResults({
+      calculatedAt,
+      updateLines: chained.updateLines,
+      groups: chained.events.flatMap((e) => e.groupResults.map((g) => ({ event: e.name, ...g }))),
+    });
+  }
+  showCalculationReport(outputFileName, calculatedAt, chained.events, settings, sessionId);
+  if (typeof window.recordRegistryResults === "function") {
+    const baseId = sessionId || makeId();
+    window.recordRegistryResults(chained.events.map((e, index) => ({
+      eventId: `${baseId}:${index + 1}`,
+      eventName: `${outputFileName} ${e.name}`,
+      calculatedAt,
+      groups: e.groups,
+      groupResults: e.groupResults,
+    })));
+  }
 
-      // ✅ Final rank column: fill yellow if adjusted to MIN_FINAL_RANK
-      if (c === finalCol && adjustedFinalFlags && adjustedFinalFlags[dataIndex]) {
-        setCell(r, c, { ...baseCell, fill: adjustedFinalFill });
-      }
-    }
+  if (typeof window.resetRankImportUI === "function") {
+    window.resetRankImportUI({ clearResult: false });
   }
+}
 
-  // Ensure title and group text
-  const titleAddr = addr(0, 0);
-  if (ws[titleAddr]) ws[titleAddr].v = sheetTitle;
+// ===== Event report =====
+// events: [{ name ("" for a single event), groups, groupResults }]; eventId is the id the registry
+// history uses for this calculation, so a recalculation does not show up in its own sparklines
+function showCalculationReport(title, calculatedAt, events, settings, eventId) {
+  if (typeof window.showEventReport !== "function") return;
+  const sections = events.flatMap((event) => {
+    // groupResults skips groups without players, in the same order
+    const calculated = event.groups.filter((g) => g.players && g.players.length > 0);
+    return calculated.map((group, groupIndex) => {
+      const { groupName, results } = event.groupResults[groupIndex];
+      return {
+        title: event.name ? `${event.name} · ${groupName}` : groupName,
+        roundCount: groupSettings(group, settings).roundCount,
+        players: group.players,
+        results,
+        history: results.map((result, rowIndex) => ratingTrend(group, rowIndex, result, eventId)),
+      };
+    });
+  });
+  window.showEventReport({
+    title,
+    calculatedAt,
+    dateLabel: new Date(calculatedAt).toLocaleString(),
+    language: settings.language,
+    sections,
+  });
+}
+
+// Registry ratings before this calculation, then the rating going in and the final rating;
+// null for players without registry history (and for unrated players)
+function ratingTrend(group, rowIndex, result, eventId) {
+  const link = (group.playerLinks || [])[rowIndex];
+  if (!link || result.unrated || typeof window.getRegistryRatingHistory !== "function") return null;
+  const past = window.getRegistryRatingHistory(link.playerId, eventId);
+  if (past.length === 0) return null;
+  const before = past[past.length - 1] === result.rank ? past : [...past, result.rank];
+  return [...before, result.finalRank];
+}
+
+// Live formulas are skipped for groups with unrated players (see buildRatingWorkbook)
+function noFormulasNotice(groupNames) {
+  if (groupNames.length === 0) return "";
+  return `\n⚠️ Written without live formulas (unrated players): ${groupNames.join(", ")}`;
+}
+
+function downloadWorkbook(filename, workbook) {
+  const blob = new Blob([writeRatingWorkbook(XLSX, workbook)], {
+    type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+}
 
-  // Ensure group text
-  ws[addr(groupRowIndex, roundsStartCol)].v = groupName;
+function downloadText(filename, content) {
+  const blob = new Blob([content], { type: "text/plain" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
 }
 
 function clearForm() {
   document.getElementById("fileName").value = "";
   document.getElementById("rounds").value = 4;
   document.getElementById("markPerRound").value = 2;
+  document.getElementById("kSource").value = "bands";
+  document.getElementById("sheetLanguage").value = "zh";
+  document.getElementById("excelFormulas").checked = false;
+  document.getElementById("printEventName").value = "";
+  document.getElementById("printEventDate").value = "";
+  applyStandingsSettings(null);
   document.getElementById("resultMsg").innerText = "";
 
   // Reset file list + imported groups
@@ -0,0 +1,240 @@
+// Event Report (no DOM)
+// - Visual summary of one calculation, as an HTML fragment with inline SVG (no chart library):
+//   rating change histogram, expected vs actual score, crosstable coloured by W/D/L and a
+//   rating sparkline per player when the registry has history for them
+// - The same fragment is shown in the calculator panel (reportView.js) and wrapped into a
+//   standalone, print-ready HTML page for export
+//
+// Loads in the browser as window.EventReport and in Node via require("./eventReport.js").
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./ratingCore.js"), require("./ratingWorkbook.js"));
+  } else {
+    root.EventReport = factory(root.RatingCore, root.RatingWorkbook);
+  }
+})(typeof self !== "undefined" ? self : this, function (RatingCore, RatingWorkbook) {
+  "use strict";
+
+  const { parseOpponentToken, UNRATED } = RatingCore;
+  const { LEGEND_COLORS } = RatingWorkbook;
+
+  const HISTOGRAM_BIN = 10; // rating points per bar
+
+  // Scoped to .event-report so the fragment can sit inside the calculator page
+  const REPORT_CSS = `
+.event-report { font-family: 'Segoe UI', sans-serif; color: #1f2a37; }
+.event-report h2 { margin: 0 0 4px; font-size: 20px; }
+.event-report .report-meta { margin: 0 0 16px; color: #6b7280; font-size: 13px; }
+.event-report .report-group { margin-bottom: 28px; }
+.event-report .report-group h3 { margin: 0 0 10px; font-size: 16px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+.event-report .report-charts { display: flex; flex-wrap: wrap; gap: 16px; margin-bottom: 12px; }
+.event-report figure { margin: 0; }
+.event-report figcaption { font-size: 12px; color: #6b7280; margin-bottom: 4px; }
+.event-report svg text { font-size: 10px; fill: #4b5563; }
+.event-report table { border-collapse: collapse; font-size: 12px; margin-bottom: 12px; }
+.event-report th, .event-report td { border: 1px solid #ccc; padding: 3px 6px; text-align: center; }
+.event-report th { background: #f3f6fa; }
+.event-report td.report-name { text-align: left; white-space: nowrap; }
+.event-report td.report-self { background: #e5e7eb; }
+.event-report .is-positive { color: #008000; font-weight: 600; }
+.event-report .is-negative { color: #c00000; font-weight: 600; }
+.event-report .is-provisional { background: #BDD7EE; font-style: italic; }
+.event-report .report-legend span { display: inline-block; padding: 1px 8px; margin-right: 6px; font-size: 12px; border: 1px solid #ccc; }
+@media print {
+  .event-report .report-group { page-break-inside: avoid; }
+  .event-report .report-group + .report-group { page-break-before: always; }
+}
+`;
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function signed(n) {
+    return n > 0 ? `+${n}` : String(n);
+  }
+
+  // ===== Charts =====
+  // Unrated players have no change and no expected score, they are left out of both charts
+  function histogramSvg(results) {
+    const deltas = results.filter((r) => !r.unrated).map((r) => r.finalRank - r.rank);
+    if (deltas.length === 0) return "—";
+    const low = Math.floor(Math.min(...deltas) / HISTOGRAM_BIN) * HISTOGRAM_BIN;
+    const high = Math.floor(Math.max(...deltas) / HISTOGRAM_BIN) * HISTOGRAM_BIN;
+    const bins = Array.from({ length: (high - low) / HISTOGRAM_BIN + 1 }, (_, i) => ({ from: low + i * HISTOGRAM_BIN, count: 0 }));
+    for (const d of deltas) bins[Math.floor((d - low) / HISTOGRAM_BIN)].count++;
+
+    const width = 360;
+    const height = 170;
+    const pad = 28;
+    const maxCount = Math.max(...bins.map((b) => b.count));
+    const barWidth = (width - 2 * pad) / bins.length;
+    const labelEvery = Math.ceil(bins.length / 8);
+
+    const bars = bins.map((b, i) => {
+      const h = (b.count * (height - 2 * pad)) / maxCount;
+      const x = pad + i * barWidth;
+      const fill = b.from + HISTOGRAM_BIN <= 0 ? "#F4B183" : b.from > 0 ? "#A9D08E" : "#D9D9D9";
+      const label = i % labelEvery === 0
+        ? `<text x="${x + barWidth / 2}" y="${height - pad + 12}" text-anchor="middle">${b.from}</text>`
+        : "";
+      return `<rect x="${x + 1}" y="${height - pad - h}" width="${Math.max(barWidth - 2, 1)}" height="${h}" fill="${fill}">` +
+        `<title>${b.from} … ${b.from + HISTOGRAM_BIN - 1}: ${b.count}</title></rect>${label}`;
+    });
+
+    return `<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
+<line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#9ca3af" />
+<text x="${pad - 4}" y="${pad + 4}" text-anchor="end">${maxCount}</text>
+${bars.join("\n")}
+</svg>`;
+  }
+
+  // x = expected score, y = score from rated games; above the diagonal = better than expected
+  function scatterSvg(groupResults) {
+    const results = groupResults.filter((r) => !r.unrated);
+    const size = 170;
+    const pad = 28;
+    const max = Math.max(1, ...results.map((r) => Math.max(r.expected, r.ratedScore)));
+    const pos = (v) => (v * (size - 2 * pad)) / max;
+
+    const dots = results.map((r) => {
+      const color = r.ratedScore > r.expected ? "#008000" : r.ratedScore < r.expected ? "#C00000" : "#4b5563";
+      return `<circle cx="${pad + pos(r.expected)}" cy="${size - pad - pos(r.ratedScore)}" r="4" fill="${color}" fill-opacity="0.75">` +
+        `<title>${escapeHtml(r.name)}: expected ${r.expected}, actual ${r.ratedScore}</title></circle>`;
+    });
+
+    return `<svg viewBox="0 0 ${size} ${size}" width="${size}" height="${size}">
+<rect x="${pad}" y="${pad}" width="${size - 2 * pad}" height="${size - 2 * pad}" fill="none" stroke="#9ca3af" />
+<line x1="${pad}" y1="${size - pad}" x2="${size - pad}" y2="${pad}" stroke="#d1d5db" stroke-dasharray="4 3" />
+<text x="${size / 2}" y="${size - 8}" text-anchor="middle">expected</text>
+<text x="10" y="${size / 2}" text-anchor="middle" transform="rotate(-90 10 ${size / 2})">actual</text>
+<text x="${size - pad}" y="${size - pad + 12}" text-anchor="end">${max}</text>
+${dots.join("\n")}
+</svg>`;
+  }
+
+  function sparklineSvg(ratings) {
+    if (!ratings || ratings.length < 2) return "—";
+    const width = 90;
+    const height = 22;
+    const min = Math.min(...ratings);
+    const span = Math.max(...ratings) - min || 1;
+    const points = ratings
+      .map((r, i) => `${(i * (width - 4)) / (ratings.length - 1) + 2},${height - 2 - ((r - min) * (height - 4)) / span}`)
+      .join(" ");
+    const rising = ratings[ratings.length - 1] >= ratings[0];
+    return `<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">` +
+      `<polyline points="${points}" fill="none" stroke="${rising ? "#008000" : "#C00000"}" stroke-width="1.5" />` +
+      `<title>${ratings.join(" → ")}</title></svg>`;
+  }
+
+  // ===== Tables =====
+  function resultColor(token) {
+    if (token.unplayed) return LEGEND_COLORS.unplayed;
+    return LEGEND_COLORS[token.result] || "";
+  }
+
+  // Row player against column player; a pair that met twice shows both results
+  function crosstableHtml(players, roundCount) {
+    const tokens = players.map((player) =>
+      Array.from({ length: roundCount }, (_, i) => parseOpponentToken(player[3 + i]))
+    );
+
+    const head = players.map((_, j) => `<th>${j + 1}</th>`).join("");
+    const body = players.map((player, i) => {
+      const cells = players.map((_, j) => {
+        if (i === j) return `<td class="report-self"></td>`;
+        const games = tokens[i].filter((t) => t.opponentId === j + 1);
+        if (games.length === 0) return "<td></td>";
+        const color = resultColor(games[0]);
+        const style = color ? ` style="background:#${color}"` : "";
+        return `<td${style}>${games.map((t) => escapeHtml(t.display.replace(/\d+$/, "") || "·")).join(" ")}</td>`;
+      });
+      return `<tr><th>${i + 1}</th><td class="report-name">${escapeHtml(player[0])}</td>${cells.join("")}</tr>`;
+    });
+
+    return `<table class="report-crosstable">
+<thead><tr><th>#</th><th>棋手</th>${head}</tr></thead>
+<tbody>
+${body.join("\n")}
+</tbody>
+</table>`;
+  }
+
+  function playerTableHtml(section) {
+    const rows = section.results.map((r, i) => {
+      const delta = r.unrated ? null : r.finalRank - r.rank;
+      const cls = delta > 0 ? "is-positive" : delta < 0 ? "is-negative" : "";
+      const history = section.history ? section.history[i] : null;
+      // Unrated: NR, no expected score or change, the initial rating is marked provisional
+      const rank = r.unrated ? UNRATED : r.rank;
+      const final = r.finalRank === null ? UNRATED : r.finalRank;
+      const finalCell = r.unrated ? `<td class="is-provisional" title="provisional">${final}</td>` : `<td>${final}</td>`;
+      return `<tr><td>${r.id}</td><td class="report-name">${escapeHtml(r.name)}</td><td>${rank}</td>` +
+        `<td>${r.score}</td><td>${r.expected === null ? "—" : r.expected}</td>` +
+        `<td class="${cls}">${delta === null ? "—" : signed(delta)}</td>${finalCell}` +
+        `<td>${r.performance === null ? "—" : r.performance}</td><td>${sparklineSvg(history)}</td></tr>`;
+    });
+    return `<table class="report-players">
+<thead><tr><th>#</th><th>棋手</th><th>等级分</th><th>总得分</th><th>期望分</th><th>变化</th><th>最终等级分</th><th>表现分</th><th>历史</th></tr></thead>
+<tbody>
+${rows.join("\n")}
+</tbody>
+</table>`;
+  }
+
+  const LEGEND_HTML = `<div class="report-legend">
+<span style="background:#${LEGEND_COLORS.W}">W=WIN</span><span style="background:#${LEGEND_COLORS.D}">D=DRAW</span><span style="background:#${LEGEND_COLORS.L}">L=LOSE</span><span style="background:#${LEGEND_COLORS.unplayed}">BYE/+/-/= 未赛</span>
+</div>`;
+
+  // ===== Report =====
+  // report: {
+  //   title, dateLabel,
+  //   sections: [{ title, roundCount, players: string[][], results (calculateGroup),
+  //                history?: [number[] | null] (ratings over time per row, ending with this event) }]
+  // }
+  function buildReportBody(report) {
+    const sections = report.sections.map((section) => `<section class="report-group">
+<h3>${escapeHtml(section.title)}</h3>
+<div class="report-charts">
+<figure><figcaption>等级分变化分布 / Rating change</figcaption>${histogramSvg(section.results)}</figure>
+<figure><figcaption>期望分 vs 实得分 / Expected vs actual</figcaption>${scatterSvg(section.results)}</figure>
+</div>
+${playerTableHtml(section)}
+${LEGEND_HTML}
+${crosstableHtml(section.players, section.roundCount)}
+</section>`);
+
+    return `<div class="event-report">
+<style>${REPORT_CSS}</style>
+<h2>${escapeHtml(report.title)}</h2>
+<p class="report-meta">${escapeHtml(report.dateLabel)} · ${report.sections.length} group(s)</p>
+${sections.join("\n")}
+</div>`;
+  }
+
+  function buildReportDocument(report) {
+    return `<!DOCTYPE html>
+<html lang="zh">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(report.title)}</title>
+<style>body { margin: 30px; } @page { margin: 15mm; }</style>
+</head>
+<body>
+${buildReportBody(report)}
+</body>
+</html>
+`;
+  }
+
+  return {
+    buildReportBody,
+    buildReportDocument,
+  };
+});
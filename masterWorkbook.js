@@ -0,0 +1,323 @@
+// Master Workbook (no DOM)
+// - Updates ratings in an .xlsx master workbook in place: only the changed cells are rewritten
+//   in the sheet XML, so styles, column widths, merges and the other sheets stay as they were
+// - Data rows can be re-sorted (whole rows move, with their formatting) and a rank column renumbered
+// - Rows can be appended to a sheet, which is added to the workbook when it does not exist yet
+// - Values are read with SheetJS; the file itself is edited through XLSX.CFB (the zip container)
+//
+// Formulas inside moved rows are not rewritten, so sorting a sheet whose data rows hold formulas
+// referring to other rows will break those formulas.
+//
+// Loads in the browser as window.MasterWorkbook and in Node via require("./masterWorkbook.js").
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MasterWorkbook = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const ROW_PATTERN = /<row\b[^>]*?(?:\/>|>[\s\S]*?<\/row>)/g;
+  const CELL_PATTERN = /<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g;
+
+  const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+  const REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+  const WORKSHEET_REL_TYPE = `${REL_NS}/worksheet`;
+  const WORKSHEET_CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml";
+
+  function decodeXmlText(text) {
+    return String(text)
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, "&");
+  }
+
+  function encodeXmlText(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function readAttribute(tag, name) {
+    const match = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+    return match ? match[1] : null;
+  }
+
+  function zipText(XLSX, zip, path) {
+    const entry = XLSX.CFB.find(zip, `/${path}`);
+    return entry ? new TextDecoder("utf-8").decode(entry.content) : null;
+  }
+
+  // Zip parts are edited as text and only encoded again by writeMasterWorkbook
+  function getPart(master, path) {
+    if (master.parts[path] === undefined) master.parts[path] = zipText(master.XLSX, master.zip, path);
+    return master.parts[path];
+  }
+
+  function setPart(master, path, xml) {
+    master.parts[path] = xml;
+  }
+
+  // Sheet name -> path of its XML inside the zip (from xl/workbook.xml + its relationships)
+  function readSheetPaths(XLSX, zip) {
+    const workbookXml = zipText(XLSX, zip, "xl/workbook.xml");
+    const relsXml = zipText(XLSX, zip, "xl/_rels/workbook.xml.rels") || "";
+
+    const targets = {};
+    for (const tag of relsXml.match(/<Relationship\b[^>]*>/g) || []) {
+      const target = readAttribute(tag, "Target") || "";
+      targets[readAttribute(tag, "Id")] = target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+    }
+
+    const paths = {};
+    for (const tag of workbookXml.match(/<sheet\b[^>]*>/g) || []) {
+      paths[decodeXmlText(readAttribute(tag, "name"))] = targets[readAttribute(tag, "r:id")];
+    }
+    return paths;
+  }
+
+  // Throws when the data is not an .xlsx (zip) workbook
+  function openMasterWorkbook(XLSX, data) {
+    const zip = XLSX.CFB.read(data, { type: "array" });
+    if (!XLSX.CFB.find(zip, "/xl/workbook.xml")) {
+      throw new Error("Only .xlsx workbooks can be updated in place. Please save the master as .xlsx first.");
+    }
+    return {
+      XLSX,
+      zip,
+      workbook: XLSX.read(data, { type: "array" }),
+      sheetPaths: readSheetPaths(XLSX, zip),
+      parts: {}, // edited zip parts (path -> xml), written back by writeMasterWorkbook
+    };
+  }
+
+  // All rows as text, indexed from A1 (SheetJS rows would start at the sheet's first used cell)
+  function readSheetRows(master, sheetName) {
+    const { XLSX } = master;
+    const ws = master.workbook.Sheets[sheetName];
+    if (!ws || !ws["!ref"]) return [];
+
+    const range = XLSX.utils.decode_range(ws["!ref"]);
+    const rows = [];
+    for (let r = 0; r <= range.e.r; r++) {
+      const row = [];
+      for (let c = 0; c <= range.e.c; c++) {
+        const cell = ws[XLSX.utils.encode_cell({ r, c })];
+        row.push(cell ? String(cell.w !== undefined ? cell.w : cell.v).trim() : "");
+      }
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  function getSheetXml(master, sheetName) {
+    return getPart(master, master.sheetPaths[sheetName]);
+  }
+
+  function setSheetXml(master, sheetName, xml) {
+    setPart(master, master.sheetPaths[sheetName], xml);
+  }
+
+  // Splits the sheet XML around <sheetData>: { before, rows: Map(rowNumber -> row xml), after }
+  function splitSheetData(xml) {
+    const open = xml.search(/<sheetData\b/);
+    if (open === -1) throw new Error("The sheet has no data.");
+
+    const selfClosing = /^<sheetData\b[^>]*\/>/.exec(xml.slice(open));
+    const bodyStart = selfClosing ? open + selfClosing[0].length : xml.indexOf(">", open) + 1;
+    const bodyEnd = selfClosing ? bodyStart : xml.indexOf("</sheetData>", bodyStart);
+
+    const rows = new Map();
+    for (const rowXml of xml.slice(bodyStart, bodyEnd).match(ROW_PATTERN) || []) {
+      rows.set(parseInt(readAttribute(rowXml, "r"), 10), rowXml);
+    }
+    return {
+      before: selfClosing ? xml.slice(0, open) + "<sheetData>" : xml.slice(0, bodyStart),
+      rows,
+      after: selfClosing ? "</sheetData>" + xml.slice(bodyEnd) : xml.slice(bodyEnd),
+    };
+  }
+
+  function joinSheetData({ before, rows, after }) {
+    const ordered = [...rows.entries()].sort((a, b) => a[0] - b[0]).map(([, rowXml]) => rowXml);
+    return before + ordered.join("") + after;
+  }
+
+  function columnOfRef(ref) {
+    return ref.replace(/\d+$/, "");
+  }
+
+  // Writes a number into one cell, keeping its style (s) and dropping any formula
+  function setCellNumber(master, sheetName, rowIndex, colIndex, value) {
+    const { XLSX } = master;
+    const ref = XLSX.utils.encode_cell({ r: rowIndex, c: colIndex });
+    const rowNumber = rowIndex + 1;
+    const parts = splitSheetData(getSheetXml(master, sheetName));
+
+    let rowXml = parts.rows.get(rowNumber) || `<row r="${rowNumber}"/>`;
+    if (/\/>$/.test(rowXml)) rowXml = rowXml.replace(/\s*\/>$/, "></row>");
+
+    const cells = rowXml.match(CELL_PATTERN) || [];
+    const existing = cells.find((cell) => readAttribute(cell, "r") === ref);
+    const style = existing ? readAttribute(existing, "s") : null;
+    const cellXml = `<c r="${ref}"${style !== null ? ` s="${style}"` : ""}><v>${value}</v></c>`;
+
+    if (existing) {
+      rowXml = rowXml.replace(existing, () => cellXml);
+    } else {
+      // Keep cells in column order
+      const later = cells.find((cell) => XLSX.utils.decode_col(columnOfRef(readAttribute(cell, "r"))) > colIndex);
+      rowXml = later
+        ? rowXml.replace(later, () => cellXml + later)
+        : rowXml.replace(/<\/row>$/, () => `${cellXml}</row>`);
+    }
+
+    parts.rows.set(rowNumber, rowXml);
+    setSheetXml(master, sheetName, joinSheetData(parts));
+  }
+
+  // Moves whole rows: order[i] is the old row index that ends up at firstRow + i
+  function reorderRows(master, sheetName, firstRow, order) {
+    const merges = master.workbook.Sheets[sheetName]["!merges"] || [];
+    const lastRow = firstRow + order.length - 1;
+    if (merges.some((m) => m.s.r <= lastRow && m.e.r >= firstRow)) {
+      throw new Error("The data rows contain merged cells, so they were not sorted.");
+    }
+
+    const parts = splitSheetData(getSheetXml(master, sheetName));
+    const moved = new Map();
+    order.forEach((oldIndex, i) => {
+      const rowXml = parts.rows.get(oldIndex + 1);
+      if (!rowXml) return;
+      const oldNumber = oldIndex + 1;
+      const newNumber = firstRow + i + 1;
+      const renumbered = rowXml
+        .replace(/^<row\b[^>]*>/, (tag) => tag.replace(/\sr="\d+"/, ` r="${newNumber}"`))
+        .replace(new RegExp(`(<c\\b[^>]*?\\sr="[A-Z]+)${oldNumber}"`, "g"), `$1${newNumber}"`);
+      moved.set(newNumber, renumbered);
+    });
+
+    for (let number = firstRow + 1; number <= lastRow + 1; number++) parts.rows.delete(number);
+    for (const [number, rowXml] of moved) parts.rows.set(number, rowXml);
+    setSheetXml(master, sheetName, joinSheetData(parts));
+  }
+
+  // Adds an empty worksheet: its XML, the workbook entry, the relationship and the content type
+  function addSheet(master, sheetName) {
+    const { XLSX, zip } = master;
+
+    let n = 1;
+    while (XLSX.CFB.find(zip, `/xl/worksheets/sheet${n}.xml`) || getPart(master, `xl/worksheets/sheet${n}.xml`)) n++;
+    const path = `xl/worksheets/sheet${n}.xml`;
+
+    setPart(
+      master,
+      path,
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        `<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><dimension ref="A1"/><sheetData/></worksheet>`
+    );
+
+    const relsPath = "xl/_rels/workbook.xml.rels";
+    const rels = getPart(master, relsPath);
+    let relNumber = 1;
+    while (rels.includes(`Id="rId${relNumber}"`)) relNumber++;
+    const relId = `rId${relNumber}`;
+    setPart(
+      master,
+      relsPath,
+      rels.replace(
+        "</Relationships>",
+        () => `<Relationship Id="${relId}" Type="${WORKSHEET_REL_TYPE}" Target="worksheets/sheet${n}.xml"/></Relationships>`
+      )
+    );
+
+    const workbookPath = "xl/workbook.xml";
+    const workbookXml = getPart(master, workbookPath);
+    const sheetIds = (workbookXml.match(/<sheet\b[^>]*>/g) || []).map((tag) => parseInt(readAttribute(tag, "sheetId"), 10));
+    const sheetId = Math.max(0, ...sheetIds) + 1;
+    setPart(
+      master,
+      workbookPath,
+      workbookXml.replace(
+        "</sheets>",
+        () => `<sheet name="${encodeXmlText(sheetName)}" sheetId="${sheetId}" r:id="${relId}"/></sheets>`
+      )
+    );
+
+    const typesPath = "[Content_Types].xml";
+    setPart(
+      master,
+      typesPath,
+      getPart(master, typesPath).replace(
+        "</Types>",
+        () => `<Override PartName="/${path}" ContentType="${WORKSHEET_CONTENT_TYPE}"/></Types>`
+      )
+    );
+
+    master.sheetPaths[sheetName] = path;
+  }
+
+  function cellXmlFor(ref, value) {
+    if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t>${encodeXmlText(value)}</t></is></c>`;
+  }
+
+  // Appends rows (numbers / text) below the last used row; adds the sheet when it is missing
+  function appendRows(master, sheetName, rows) {
+    const { XLSX } = master;
+    if (!master.sheetPaths[sheetName]) addSheet(master, sheetName);
+
+    const parts = splitSheetData(getSheetXml(master, sheetName));
+    let rowNumber = Math.max(0, ...parts.rows.keys());
+    let lastCol = 0;
+
+    for (const row of rows) {
+      rowNumber++;
+      const cells = row.map((value, c) => cellXmlFor(XLSX.utils.encode_cell({ r: rowNumber - 1, c }), value));
+      lastCol = Math.max(lastCol, row.length - 1);
+      parts.rows.set(rowNumber, `<row r="${rowNumber}">${cells.join("")}</row>`);
+    }
+
+    // Keep <dimension> covering the new rows (SheetJS reads the used range from it)
+    let xml = joinSheetData(parts);
+    const dimension = /<dimension ref="([^"]*)"\/>/.exec(xml);
+    if (dimension) {
+      const range = XLSX.utils.decode_range(dimension[1]);
+      range.e.r = Math.max(range.e.r, rowNumber - 1);
+      range.e.c = Math.max(range.e.c, lastCol);
+      xml = xml.replace(dimension[0], () => `<dimension ref="${XLSX.utils.encode_range(range)}"/>`);
+    }
+    setSheetXml(master, sheetName, xml);
+  }
+
+  // The updated .xlsx as bytes
+  function writeMasterWorkbook(master) {
+    const { XLSX, zip } = master;
+    for (const [path, xml] of Object.entries(master.parts)) {
+      const content = new TextEncoder().encode(xml);
+      const entry = XLSX.CFB.find(zip, `/${path}`);
+      if (entry) {
+        entry.content = content;
+        entry.size = content.length;
+      } else {
+        XLSX.CFB.utils.cfb_add(zip, `/${path}`, content);
+      }
+    }
+    return XLSX.CFB.write(zip, { fileType: "zip", type: "array" });
+  }
+
+  return {
+    openMasterWorkbook,
+    readSheetRows,
+    setCellNumber,
+    reorderRows,
+    appendRows,
+    writeMasterWorkbook,
+  };
+});
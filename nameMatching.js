@@ -0,0 +1,158 @@
+// Name Matching (no DOM)
+// - Player names are compared after normalization: whitespace (including full-width spaces),
+//   full-width letters / digits (NFKC), traditional -> simplified characters and letter case
+// - An alias table maps other spellings of a name to the name used in the master sheet
+// - Names without an exact match get near matches ranked by edit distance
+//
+// Loads in the browser as window.NameMatching and in Node via require("./nameMatching.js").
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.NameMatching = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Traditional -> simplified pairs for characters common in player names (not a full converter)
+  const TRADITIONAL_TO_SIMPLIFIED = [
+    "陳陈 張张 劉刘 黃黄 楊杨 趙赵 吳吴 鄭郑 謝谢 許许 馮冯 鄧邓 蕭萧 葉叶 蘇苏 盧卢 蔣蒋 賈贾 錢钱 鍾钟",
+    "羅罗 龍龙 萬万 歐欧 陽阳 鄒邹 譚谭 顧顾 陸陆 韓韩 鄺邝 關关 門门 嚴严 孫孙 溫温 鐘钟 莊庄 湯汤 閻阎",
+    "衛卫 範范 廣广 華华 國国 偉伟 傑杰 強强 軍军 東东 興兴 輝辉 賢贤 鳳凤 麗丽 維维 綺绮 穎颖 潔洁 雲云",
+    "紅红 靜静 詩诗 濤涛 鵬鹏 飛飞 進进 權权 鴻鸿 儀仪 寧宁 億亿 達达 順顺 榮荣 樂乐 貴贵 寶宝 書书 賓宾",
+    "瑩莹 燦灿 義义 禮礼 勝胜 傳传 紹绍 繼继 聰聪 錦锦 銘铭 鋒锋 長长 發发 開开 問问 間间 聞闻 見见 覺觉",
+    "學学 習习 聖圣 際际 師师 為为 這这 來来 時时 會会 個个 們们 對对 說说 話话 語语 讀读 寫写 車车 馬马",
+    "鳥鸟 魚鱼 貝贝 頭头 顏颜 題题 願愿 類类 齊齐 齡龄 亞亚 愛爱 憶忆 懷怀 戰战 擊击 護护 瑋玮 璽玺 環环",
+    "現现 祿禄 禎祯 積积 穩稳 筆笔 節节 簡简 紀纪 純纯 細细 結结 統统 絲丝 經经 綠绿 練练 緒绪 線线 縣县",
+    "總总 績绩 聯联 聲声 職职 臺台 與与 舉举 艷艳 蓮莲 藝艺 蘭兰 蝦虾 裝装 親亲 觀观 訓训 記记 詠咏 誠诚",
+    "誼谊 豐丰 財财 賀贺 資资 贏赢 躍跃 軒轩 輕轻 輪轮 農农 連连 運运 遠远 選选 遺遗 邁迈 郵邮 鄉乡 醫医",
+    "釗钊 鈞钧 鈺钰 銀银 鋼钢 錫锡 鎮镇 鏡镜 鐵铁 閃闪 閣阁 闊阔 雙双 雞鸡 電电 靈灵 韋韦 韻韵 頌颂 領领",
+    "頓顿 頤颐 飄飘 餘余 館馆 駿骏 騰腾 驊骅 鬥斗 鮑鲍 鳴鸣 鴿鸽 鶴鹤 麥麦 黨党 兒儿 兩两 凱凯 劍剑 勁劲",
+    "勳勋 區区 協协 單单 團团 圓圆 堅坚 報报 場场 壽寿 夢梦 奪夺 嬌娇 寬宽 實实 將将 尋寻 屆届 嶺岭 巖岩",
+    "帥帅 幣币 廳厅 廟庙 彈弹 彥彦 後后 徑径 從从 復复 憲宪 應应 懇恳 揚扬 換换 擁拥 數数 暉晖 曉晓 曆历",
+    "朧胧 棟栋 業业 極极 樓楼 樹树 橋桥 機机 歡欢 歲岁 歷历 氣气 決决 沒没 淵渊 淚泪 淺浅 渾浑 滿满 漢汉",
+    "潤润 澤泽 濱滨 灣湾 煒炜 煥焕 熱热 爐炉 爭争 爺爷 牽牵 狀状 獅狮 獎奖 瑤瑶 產产 畢毕 異异 當当 盡尽",
+    "盤盘 眾众 碩硕 確确 禪禅 競竞 箏筝 築筑 糧粮 紋纹 紛纷 組组 絕绝 綱纲 網网 緣缘 縱纵 繡绣 續续 罷罢",
+    "翹翘 肅肃 腦脑 臉脸 蒼苍 薈荟 蘊蕴 處处 號号 蟲虫 術术 補补 視视 覽览 計计 訊讯 誌志 課课 諸诸 謙谦",
+    "譽誉 讓让 貞贞 負负 貫贯 賴赖 贊赞 趕赶 軟软 較较 輔辅 轉转 辦办 邊边 鄰邻 針针 鈴铃 錄录 鍵键 鎧铠",
+    "鑽钻 闖闯 陣阵 陰阴 隊队 階阶 隨随 險险 雜杂 雖虽 離离 難难 霧雾 靚靓 韜韬 頁页 項项 預预 頻频 顯显",
+    "風风 飯饭 馳驰 驗验 體体 鬆松 魯鲁 鮮鲜 鷹鹰 點点 齒齿 砲炮",
+  ];
+
+  const T2S = new Map();
+  for (const line of TRADITIONAL_TO_SIMPLIFIED) {
+    for (const pair of line.split(" ")) {
+      const [traditional, simplified] = Array.from(pair);
+      T2S.set(traditional, simplified);
+    }
+  }
+
+  // Near matches below this similarity (0..1) are not offered
+  const NEAR_MATCH_THRESHOLD = 0.5;
+  const NEAR_MATCH_LIMIT = 3;
+
+  function toSimplified(text) {
+    return Array.from(String(text), (ch) => T2S.get(ch) || ch).join("");
+  }
+
+  function normalizeName(name) {
+    const text = String(name === undefined || name === null ? "" : name);
+    return toSimplified(text.normalize("NFKC")).replace(/\s/g, "").toLowerCase();
+  }
+
+  // Levenshtein distance on characters (not UTF-16 units)
+  function editDistance(a, b) {
+    const x = Array.from(a);
+    const y = Array.from(b);
+    let previous = Array.from({ length: y.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= x.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= y.length; j++) {
+        const cost = x[i - 1] === y[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    return previous[y.length];
+  }
+
+  // 1 = same name after normalization, 0 = nothing in common
+  function nameSimilarity(a, b) {
+    const x = normalizeName(a);
+    const y = normalizeName(b);
+    if (!x || !y) return 0;
+    return 1 - editDistance(x, y) / Math.max(Array.from(x).length, Array.from(y).length);
+  }
+
+  // aliases: { "other spelling": "name in the master sheet" }
+  function resolveAlias(name, aliases) {
+    const key = normalizeName(name);
+    for (const [alias, target] of Object.entries(aliases || {})) {
+      if (normalizeName(alias) === key) return target;
+    }
+    return name;
+  }
+
+  // One alias per line: "other spelling = name in the master sheet"
+  // Returns { aliases, errors: [{ lineNumber, text }] }
+  function parseAliasText(text) {
+    const aliases = {};
+    const errors = [];
+    String(text || "")
+      .split(/\r?\n/)
+      .forEach((line, i) => {
+        if (!line.trim()) return;
+        const parts = line.split("=");
+        const alias = (parts[0] || "").trim();
+        const target = parts.slice(1).join("=").trim();
+        if (parts.length < 2 || !alias || !target) {
+          errors.push({ lineNumber: i + 1, text: line.trim() });
+          return;
+        }
+        aliases[alias] = target;
+      });
+    return { aliases, errors };
+  }
+
+  function formatAliasText(aliases) {
+    return Object.entries(aliases || {})
+      .map(([alias, target]) => `${alias} = ${target}`)
+      .join("\n");
+  }
+
+  // candidates: [{ name, ... }] -> [{ candidate, similarity }], best first
+  function rankNearMatches(name, candidates, options) {
+    const { threshold = NEAR_MATCH_THRESHOLD, limit = NEAR_MATCH_LIMIT } = options || {};
+    return candidates
+      .map((candidate) => ({ candidate, similarity: nameSimilarity(name, candidate.name) }))
+      .filter((m) => m.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  // Names that appear more than once after normalization: [{ name, indexes }]
+  function findDuplicateNames(names) {
+    const byKey = new Map();
+    names.forEach((name, index) => {
+      const key = normalizeName(name);
+      if (!key) return;
+      if (!byKey.has(key)) byKey.set(key, { name: String(name).trim(), indexes: [] });
+      byKey.get(key).indexes.push(index);
+    });
+    return [...byKey.values()].filter((d) => d.indexes.length > 1);
+  }
+
+  return {
+    NEAR_MATCH_THRESHOLD,
+    toSimplified,
+    normalizeName,
+    editDistance,
+    nameSimilarity,
+    resolveAlias,
+    parseAliasText,
+    formatAliasText,
+    rankNearMatches,
+    findDuplicateNames,
+  };
+});
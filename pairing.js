@@ -0,0 +1,260 @@
+// Swiss Pairing panel
+// - Players are pasted or loaded from a file (name,rating,K per line), then each round is paired
+//   by swissPairing.js once the results of the previous round are in
+// - Results are chosen per board; the current standings and colours update right away
+// - The tournament is kept in localStorage until "New Tournament", so a reload loses nothing
+// - "⬇ .txt" downloads the completed rounds as a calculator group file, "Open in Calculator"
+//   imports them into the calculator directly
+
+const {
+  BOARD_RESULTS,
+  parsePairingPlayers,
+  compareRating,
+  createTournament,
+  isRoundComplete,
+  playerScores,
+  colourHistory,
+  pairNextRound,
+  toPlayerRows,
+  toGroupText,
+} = window.SwissPairing;
+
+const PAIRING_STORAGE_KEY = "rankTool.pairing";
+
+let pairingState = null;
+
+function loadPairingState() {
+  try {
+    pairingState = JSON.parse(localStorage.getItem(PAIRING_STORAGE_KEY) || "null");
+  } catch (err) {
+    console.error("Ignoring broken pairing state in localStorage", err);
+    pairingState = null;
+  }
+}
+
+function savePairingState() {
+  if (pairingState) localStorage.setItem(PAIRING_STORAGE_KEY, JSON.stringify(pairingState));
+  else localStorage.removeItem(PAIRING_STORAGE_KEY);
+}
+
+// ===== Setup =====
+function startPairing() {
+  const { players, skipped } = parsePairingPlayers(document.getElementById("pairingPlayers").value);
+  if (skipped.length > 0) {
+    const lines = skipped.map((s) => `line ${s.line}: ${s.reason}`).join("\n");
+    if (!confirm(`These lines are not players and will be ignored:\n${lines}\n\nStart anyway?`)) return;
+  }
+
+  try {
+    pairingState = createTournament(players, {
+      groupName: document.getElementById("pairingGroupName").value.trim() || "Swiss",
+      roundCount: parseInt(document.getElementById("pairingRoundCount").value, 10),
+      markPerRound: parseInt(document.getElementById("pairingMark").value, 10),
+    });
+  } catch (err) {
+    alert(`⚠️ ${err.message}`);
+    return;
+  }
+  savePairingState();
+  renderPairing();
+}
+
+function resetPairing() {
+  if (pairingState && !confirm("Discard this tournament and start a new one?")) return;
+  pairingState = null;
+  savePairingState();
+  renderPairing();
+}
+
+// ===== Rounds =====
+function pairNextRoundUI() {
+  if (!pairingState) return;
+  try {
+    pairingState.rounds.push(pairNextRound(pairingState));
+  } catch (err) {
+    alert(`⚠️ ${err.message}`);
+    return;
+  }
+  savePairingState();
+  renderPairing();
+}
+
+function deleteLastPairingRound() {
+  if (!pairingState || pairingState.rounds.length === 0) return;
+  if (!confirm(`Delete the pairings and results of round ${pairingState.rounds.length}?`)) return;
+  pairingState.rounds.pop();
+  savePairingState();
+  renderPairing();
+}
+
+function setBoardResult(roundIndex, boardIndex, result) {
+  pairingState.rounds[roundIndex].boards[boardIndex].result = result || null;
+  savePairingState();
+  renderPairingStatus();
+  renderPairingStandings();
+}
+
+// ===== Output =====
+// Only completed rounds go into the file; says so when rounds are missing
+function completedPairingRounds() {
+  const completed = pairingState.rounds.filter(isRoundComplete).length;
+  if (completed === 0) {
+    alert("No round has all its results yet.");
+    return 0;
+  }
+  if (completed < pairingState.roundCount) {
+    const ok = confirm(`Only ${completed} of ${pairingState.roundCount} rounds are complete. Use these ${completed} rounds?`);
+    if (!ok) return 0;
+  }
+  return completed;
+}
+
+function downloadPairingText() {
+  if (!pairingState || !completedPairingRounds()) return;
+  downloadText(`${pairingState.groupName}.txt`, toGroupText(pairingState));
+}
+
+function openPairingInCalculator() {
+  if (!pairingState) return;
+  const roundCount = completedPairingRounds();
+  if (!roundCount) return;
+  if (groups.length > 0 && !confirm("Replace the files imported in the calculator with this group?")) return;
+
+  const fileName = `${pairingState.groupName}.txt`;
+  resetRankImportUI({ clearResult: true });
+  setImportedGroups([{
+    fileName,
+    sheetBase: sanitizeSheetName(fileName),
+    players: toPlayerRows(pairingState),
+    skipped: [],
+    roundCount,
+    markPerRound: pairingState.markPerRound,
+  }]);
+  if (!document.getElementById("fileName").value) document.getElementById("fileName").value = pairingState.groupName;
+  requestSessionAutosave();
+  showPanel("calculator");
+}
+
+// ===== Rendering =====
+function renderPairing() {
+  const started = Boolean(pairingState);
+  document.getElementById("pairingSetup").classList.toggle("is-hidden", started);
+  document.getElementById("pairingTournament").classList.toggle("is-hidden", !started);
+  if (!started) return;
+
+  renderPairingStatus();
+  renderPairingRounds();
+  renderPairingStandings();
+}
+
+function renderPairingStatus() {
+  const { groupName, players, rounds, roundCount } = pairingState;
+  const last = rounds[rounds.length - 1];
+  let next;
+  if (last && !isRoundComplete(last)) next = `enter the results of round ${rounds.length}`;
+  else if (rounds.length < roundCount) next = `round ${rounds.length + 1} can be paired`;
+  else next = "all rounds played ✅";
+
+  document.getElementById("pairingStatus").textContent =
+    `${groupName}: ${players.length} players, ${rounds.length} of ${roundCount} rounds paired · ${next}`;
+  document.getElementById("pairNextBtn").disabled = Boolean(last && !isRoundComplete(last)) || rounds.length >= roundCount;
+}
+
+function renderPairingRounds() {
+  const box = document.getElementById("pairingRoundList");
+  box.innerHTML = "";
+  const { players } = pairingState;
+
+  // Latest round first, that is the one being played
+  pairingState.rounds.map((round, roundIndex) => ({ round, roundIndex })).reverse().forEach(({ round, roundIndex }) => {
+    const card = document.createElement("div");
+    card.className = "import-card pairing-round";
+
+    const title = document.createElement("div");
+    title.className = "import-card-title";
+    title.textContent = `Round ${roundIndex + 1}`;
+    card.appendChild(title);
+
+    const table = document.createElement("table");
+    table.className = "results-grid";
+    table.innerHTML = "<thead><tr><th>Board</th><th>Red</th><th>Result</th><th>Black</th></tr></thead>";
+    const tbody = document.createElement("tbody");
+
+    round.boards.forEach((board, boardIndex) => {
+      const tr = document.createElement("tr");
+      const select = document.createElement("select");
+      for (const [value, text] of [["", "—"], ...BOARD_RESULTS.map((r) => [r.id, r.forfeit ? `${r.label} (forfeit)` : r.label])]) {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      }
+      select.value = board.result || "";
+      select.addEventListener("change", () => setBoardResult(roundIndex, boardIndex, select.value));
+
+      for (const content of [
+        String(boardIndex + 1),
+        describePairingPlayer(board.red),
+        select,
+        describePairingPlayer(board.black),
+      ]) {
+        const td = document.createElement("td");
+        if (typeof content === "string") td.textContent = content;
+        else td.appendChild(content);
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    card.appendChild(table);
+
+    if (round.bye !== null) {
+      const bye = document.createElement("div");
+      bye.className = "pairing-bye";
+      bye.textContent = `BYE: ${describePairingPlayer(round.bye)} (scores ${pairingState.markPerRound})`;
+      card.appendChild(bye);
+    }
+    box.appendChild(card);
+  });
+
+  function describePairingPlayer(index) {
+    return `${index + 1}. ${players[index].name} (${players[index].rank})`;
+  }
+}
+
+function renderPairingStandings() {
+  const body = document.getElementById("pairingStandingsBody");
+  body.innerHTML = "";
+  const scores = playerScores(pairingState);
+  const colours = colourHistory(pairingState);
+
+  pairingState.players
+    .map((player, index) => ({ player, index }))
+    .sort((a, b) => scores[b.index] - scores[a.index] || compareRating(a.player, b.player))
+    .forEach(({ player, index }, place) => {
+      const tr = document.createElement("tr");
+      for (const text of [place + 1, index + 1, player.name, player.rank, scores[index], colours[index].join("")]) {
+        const td = document.createElement("td");
+        td.textContent = String(text);
+        tr.appendChild(td);
+      }
+      body.appendChild(tr);
+    });
+}
+
+(function initPairing() {
+  if (!document.getElementById("pairing")) return;
+
+  // A group .txt or a plain player list fills the text box
+  document.getElementById("pairingFile").addEventListener("change", async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    document.getElementById("pairingPlayers").value = await readFileAsText(file);
+    const nameInput = document.getElementById("pairingGroupName");
+    if (!nameInput.value) nameInput.value = file.name.replace(/\.[^.]+$/, "");
+    e.target.value = "";
+  });
+
+  loadPairingState();
+  renderPairing();
+})();
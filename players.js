@@ -0,0 +1,427 @@
+// Player Registry (IndexedDB "players" store, see storage.js)
+// - Every player has a stable id, name (Chinese) and romanized name, club, current rating, K
+//   and a rating history with one entry per event and group
+// - Imported rows are linked to registry players by name (Chinese or romanized, compared like
+//   nameMatching.js does: full-width, traditional characters and spacing ignored); a row that
+//   matches more than one player must be resolved in the calculator before Calculate
+// - Calculate appends a history entry per player (recalculating the same session replaces it)
+//   and creates registry players for names that are not in the registry yet
+// - The Players panel lists the registry and shows each player's rating timeline and events
+// - The event report draws its per-player sparklines from the same history
+
+// { id, name, nameRomanized, club, rating, k, createdAt, updatedAt,
+//   history: [{ eventId, eventName, groupName, date, oldRating, newRating, change, k, score }] }
+//   (oldRating and change are null for the event that gave an unrated player their initial rating)
+let registryPlayers = [];
+let selectedPlayerId = null;
+
+function findRegistryPlayer(id) {
+  return registryPlayers.find((p) => p.id === id) || null;
+}
+
+// Closest rating first, so the likely player is at the top of the choice list
+function findRegistryCandidates(name, rating) {
+  const key = NameMatching.normalizeName(name);
+  if (!key) return [];
+  const target = parseInt(rating, 10);
+  return registryPlayers
+    .filter((p) => [p.name, p.nameRomanized].some((n) => NameMatching.normalizeName(n) === key))
+    .sort((a, b) => Math.abs(a.rating - target) - Math.abs(b.rating - target));
+}
+
+function describeRegistryPlayer(player) {
+  const names = player.nameRomanized ? `${player.name} / ${player.nameRomanized}` : player.name;
+  const club = player.club ? ` · ${player.club}` : "";
+  return `${names}${club} · ${player.rating} (#${player.id})`;
+}
+
+async function loadRegistryPlayers() {
+  registryPlayers = (await dbGetAll("players")).sort((a, b) => b.rating - a.rating);
+}
+
+function reportRegistryError(err) {
+  console.error(err);
+  alert(`⚠️ Player registry could not be updated: ${err.message}`);
+}
+
+// ===== Linking imported rows (calculator panel) =====
+// group.playerLinks[i] = { name, playerId, status } for group.players[i]
+//   "matched"   - exactly one registry player has this name
+//   "new"       - no registry player yet, one is created with playerId on Calculate
+//   "ambiguous" - several registry players have this name, playerId is null until chosen
+//   "chosen"    - picked by the user (an existing player or a new one), kept while the name is unchanged
+function linkForRow(player, previous) {
+  const name = player[0];
+  if (previous && previous.name === name && previous.status === "chosen") return previous;
+
+  const candidates = findRegistryCandidates(name, player[1]);
+  if (candidates.length === 1) return { name, playerId: candidates[0].id, status: "matched" };
+  if (candidates.length > 1) return { name, playerId: null, status: "ambiguous" };
+
+  // Keep the generated id so a saved session creates the same player every time
+  const keepId = previous && previous.name === name && previous.status === "new";
+  return { name, playerId: keepId ? previous.playerId : makeId(), status: "new" };
+}
+
+function resolveRegistryLinks() {
+  // A new name in several groups or events is one player, created once
+  const newIds = new Map();
+  for (const group of groups) {
+    const previous = group.playerLinks || [];
+    group.playerLinks = group.players.map((player, i) => {
+      const link = linkForRow(player, previous[i]);
+      if (link.status !== "new") return link;
+      if (!newIds.has(link.name)) newIds.set(link.name, link.playerId);
+      return { ...link, playerId: newIds.get(link.name) };
+    });
+  }
+}
+
+window.renderRegistryLinks = function () {
+  const box = document.getElementById("registryLinks");
+  if (!box) return;
+  box.innerHTML = "";
+
+  resolveRegistryLinks();
+  const links = groups.flatMap((group) => group.playerLinks);
+  if (links.length === 0) return;
+
+  const count = (status) => links.filter((l) => l.status === status).length;
+  const card = document.createElement("div");
+  card.className = "import-card registry-card";
+
+  const title = document.createElement("div");
+  title.className = "import-card-title";
+  title.textContent =
+    `Player Registry: ${count("matched") + count("chosen")} linked, ${count("new")} new, ` +
+    `${count("ambiguous")} to choose`;
+  card.appendChild(title);
+
+  groups.forEach((group, groupIndex) => {
+    group.players.forEach((player, rowIndex) => {
+      const link = group.playerLinks[rowIndex];
+      if (link.status !== "ambiguous" && link.status !== "chosen") return;
+      card.appendChild(buildLinkChoice(group, groupIndex, player, rowIndex));
+    });
+  });
+
+  const newNames = new Set(groups.flatMap((group) =>
+    group.playerLinks.filter((l) => l.status === "new").map((l) => l.name)
+  ));
+  if (newNames.size > 0) {
+    const note = document.createElement("div");
+    note.className = "registry-new";
+    note.textContent = `Added to the registry on Calculate: ${[...newNames].join(", ")}`;
+    card.appendChild(note);
+  }
+
+  box.appendChild(card);
+};
+
+function buildLinkChoice(group, groupIndex, player, rowIndex) {
+  const link = group.playerLinks[rowIndex];
+
+  const label = document.createElement("label");
+  label.textContent = `${link.status === "ambiguous" ? "⚠️ " : ""}${group.sheetBase} #${rowIndex + 1}: ${player[0]} (${player[1]})`;
+
+  const select = document.createElement("select");
+  const options = [];
+  if (link.status === "ambiguous") options.push(["", "— choose the registry player —"]);
+  for (const candidate of findRegistryCandidates(player[0], player[1])) {
+    options.push([candidate.id, describeRegistryPlayer(candidate)]);
+  }
+  options.push(["__new__", "➕ New registry player"]);
+
+  for (const [value, text] of options) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  }
+  const isNewChoice = link.status === "chosen" && !findRegistryPlayer(link.playerId);
+  select.value = link.status === "ambiguous" ? "" : isNewChoice ? "__new__" : link.playerId;
+
+  select.addEventListener("change", () => {
+    if (!select.value) return;
+    const playerId = select.value === "__new__" ? makeId() : select.value;
+    groups[groupIndex].playerLinks[rowIndex] = { name: player[0], playerId, status: "chosen" };
+    window.renderRegistryLinks();
+    requestSessionAutosave();
+  });
+
+  const wrap = document.createElement("div");
+  wrap.className = "registry-choice";
+  wrap.appendChild(label);
+  wrap.appendChild(select);
+  return wrap;
+}
+
+// Called by calculate() before anything is exported; false while a row still needs a choice
+window.checkRegistryLinks = function () {
+  window.renderRegistryLinks();
+  const open = groups.flatMap((group) => group.playerLinks).filter((l) => l.status === "ambiguous");
+  if (open.length === 0) return true;
+  alert(`Choose the registry player for ${open.length} row(s) marked ⚠️ under "Player Registry" (${open.map((l) => l.name).join(", ")}).`);
+  return false;
+};
+
+// Called by calculate() with [{ eventId, eventName, calculatedAt, groups, groupResults }],
+// one entry per event in the order they were played
+window.recordRegistryResults = function (events) {
+  const now = new Date().toISOString();
+  const updated = new Map();
+  for (const event of events) recordRegistryEvent(event, updated, now);
+
+  (async () => {
+    for (const player of updated.values()) await dbPut("players", player);
+    await loadRegistryPlayers();
+    renderPlayerList();
+  })().catch(reportRegistryError);
+};
+
+// Adds one event to the history of its players; updated (id -> player) collects the changes
+function recordRegistryEvent({ eventId, eventName, calculatedAt, groups: eventGroups, groupResults }, updated, now) {
+  // groupResults skips groups without players, in the same order
+  const calculated = eventGroups.filter((g) => g.players && g.players.length > 0);
+  calculated.forEach((group, groupIndex) => {
+    const groupResult = groupResults[groupIndex];
+    if (!groupResult) return;
+
+    groupResult.results.forEach((result, rowIndex) => {
+      const link = (group.playerLinks || [])[rowIndex];
+      if (!link || !link.playerId) return;
+      // Unrated players join the registry once they have an initial rating (oldRating stays null)
+      if (result.finalRank === null) return;
+
+      const existing = updated.get(link.playerId) || findRegistryPlayer(link.playerId);
+      const player = existing || {
+        id: link.playerId,
+        name: result.name,
+        nameRomanized: "",
+        club: "",
+        rating: result.rank,
+        k: result.k,
+        createdAt: now,
+        history: [],
+      };
+
+      // Recalculating the same event replaces its entry instead of adding a second one
+      const history = player.history.filter(
+        (h) => !(h.eventId === eventId && h.groupName === groupResult.groupName)
+      );
+      history.push({
+        eventId,
+        eventName,
+        groupName: groupResult.groupName,
+        date: calculatedAt,
+        oldRating: result.rank,
+        newRating: result.finalRank,
+        change: result.change,
+        k: result.k,
+        score: result.score,
+      });
+      history.sort((a, b) => a.date.localeCompare(b.date));
+
+      // The current rating is the result of the latest event, even when an older one was recalculated
+      const latest = history[history.length - 1];
+      updated.set(player.id, { ...player, rating: latest.newRating, k: latest.k, history, updatedAt: now });
+    });
+  });
+}
+
+// Ratings of a registry player over time (start rating, then after each event) for the event
+// report, without the entries of the calculation being shown: eventId itself and, for chained
+// events, its "eventId:n" entries
+window.getRegistryRatingHistory = function (playerId, eventId) {
+  const player = playerId ? findRegistryPlayer(playerId) : null;
+  if (!player) return [];
+  const history = player.history.filter(
+    (h) => !eventId || (h.eventId !== eventId && !String(h.eventId).startsWith(`${eventId}:`))
+  );
+  if (history.length === 0) return [];
+  return [history[0].oldRating, ...history.map((h) => h.newRating)].filter((rating) => rating !== null);
+};
+
+// ===== Players panel =====
+function renderPlayerList() {
+  const body = document.getElementById("playerTableBody");
+  if (!body) return;
+  body.innerHTML = "";
+
+  const query = NameMatching.normalizeName(document.getElementById("playerSearch").value);
+  const shown = registryPlayers.filter((p) =>
+    !query || [p.name, p.nameRomanized, p.club, p.id].some((v) => NameMatching.normalizeName(v).includes(query))
+  );
+
+  document.getElementById("playerEmpty").classList.toggle("is-hidden", registryPlayers.length > 0);
+  document.getElementById("playerTable").classList.toggle("is-hidden", registryPlayers.length === 0);
+
+  for (const player of shown) {
+    const tr = document.createElement("tr");
+    tr.className = player.id === selectedPlayerId ? "is-selected" : "";
+    for (const text of [
+      player.name,
+      player.nameRomanized || "",
+      player.club || "",
+      player.rating,
+      player.k,
+      player.history.length,
+    ]) {
+      const td = document.createElement("td");
+      td.textContent = String(text);
+      tr.appendChild(td);
+    }
+    tr.addEventListener("click", () => openPlayerDetail(player.id));
+    body.appendChild(tr);
+  }
+}
+
+// id = null opens an empty form for a new player
+function openPlayerDetail(id) {
+  const player = id ? findRegistryPlayer(id) : null;
+  selectedPlayerId = player ? player.id : null;
+
+  document.getElementById("playerDetail").classList.remove("is-hidden");
+  document.getElementById("playerDetailTitle").textContent = player ? `Player #${player.id}` : "New Player";
+  document.getElementById("playerName").value = player ? player.name : "";
+  document.getElementById("playerRomanized").value = player ? player.nameRomanized || "" : "";
+  document.getElementById("playerClub").value = player ? player.club || "" : "";
+  document.getElementById("playerRating").value = player ? player.rating : "";
+  document.getElementById("playerK").value = player ? player.k : "";
+  document.getElementById("playerDeleteBtn").disabled = !player;
+
+  renderPlayerTimeline(player ? player.history : []);
+  renderPlayerEvents(player ? player.history : []);
+  renderPlayerList();
+}
+
+function closePlayerDetail() {
+  selectedPlayerId = null;
+  document.getElementById("playerDetail").classList.add("is-hidden");
+  renderPlayerList();
+}
+
+async function savePlayerDetail() {
+  const name = document.getElementById("playerName").value.trim();
+  const rating = parseInt(document.getElementById("playerRating").value, 10);
+  const k = parseInt(document.getElementById("playerK").value, 10);
+
+  if (!name || !Number.isFinite(rating) || !Number.isFinite(k)) {
+    alert("⚠️ Name, rating and K are required (rating and K must be numbers).");
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const existing = selectedPlayerId ? findRegistryPlayer(selectedPlayerId) : null;
+  const player = {
+    ...(existing || { id: makeId(), createdAt: now, history: [] }),
+    name,
+    nameRomanized: document.getElementById("playerRomanized").value.trim(),
+    club: document.getElementById("playerClub").value.trim(),
+    rating,
+    k,
+    updatedAt: now,
+  };
+
+  await dbPut("players", player);
+  await loadRegistryPlayers();
+  openPlayerDetail(player.id);
+}
+
+async function deleteSelectedPlayer() {
+  const player = findRegistryPlayer(selectedPlayerId);
+  if (!player || !confirm(`Delete ${player.name} and their rating history from the registry?`)) return;
+  await dbDelete("players", player.id);
+  await loadRegistryPlayers();
+  closePlayerDetail();
+}
+
+// Rating after each event as a line chart (inline SVG, no chart library)
+function renderPlayerTimeline(history) {
+  const box = document.getElementById("playerTimeline");
+  box.innerHTML = "";
+  if (history.length === 0) {
+    box.textContent = "No events yet.";
+    return;
+  }
+
+  // No start point for a player who joined unrated
+  const points = [
+    { label: "Start", rating: history[0].oldRating },
+    ...history.map((h) => ({ label: `${h.eventName} (${h.groupName})`, rating: h.newRating })),
+  ].filter((p) => p.rating !== null);
+
+  const width = 520;
+  const height = 160;
+  const pad = 30;
+  const ratings = points.map((p) => p.rating);
+  const min = Math.min(...ratings);
+  const max = Math.max(...ratings);
+  const span = max - min || 1;
+  const x = (i) => pad + (points.length === 1 ? 0 : (i * (width - 2 * pad)) / (points.length - 1));
+  const y = (rating) => height - pad - ((rating - min) * (height - 2 * pad)) / span;
+
+  const ns = "http://www.w3.org/2000/svg";
+  const svg = document.createElementNS(ns, "svg");
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  svg.setAttribute("class", "player-chart");
+
+  const line = document.createElementNS(ns, "polyline");
+  line.setAttribute("points", points.map((p, i) => `${x(i)},${y(p.rating)}`).join(" "));
+  line.setAttribute("class", "player-chart-line");
+  svg.appendChild(line);
+
+  points.forEach((p, i) => {
+    const dot = document.createElementNS(ns, "circle");
+    dot.setAttribute("cx", x(i));
+    dot.setAttribute("cy", y(p.rating));
+    dot.setAttribute("r", 4);
+    dot.setAttribute("class", "player-chart-dot");
+    const tip = document.createElementNS(ns, "title");
+    tip.textContent = `${p.label}: ${p.rating}`;
+    dot.appendChild(tip);
+    svg.appendChild(dot);
+  });
+
+  for (const [rating, yPos] of [[max, y(max) - 8], [min, y(min) + 16]]) {
+    const text = document.createElementNS(ns, "text");
+    text.setAttribute("x", 2);
+    text.setAttribute("y", yPos);
+    text.setAttribute("class", "player-chart-label");
+    text.textContent = String(rating);
+    svg.appendChild(text);
+  }
+
+  box.appendChild(svg);
+}
+
+function renderPlayerEvents(history) {
+  const body = document.getElementById("playerEventsBody");
+  body.innerHTML = "";
+
+  // Latest event first
+  for (const h of [...history].reverse()) {
+    const tr = document.createElement("tr");
+    // An initial rating has no old rating and no change
+    const change = h.change === null ? "—" : h.change > 0 ? `+${h.change.toFixed(1)}` : h.change.toFixed(1);
+    const oldRating = h.oldRating === null ? UNRATED : h.oldRating; // UNRATED comes from app.js
+    for (const text of [formatSessionTime(h.date), h.eventName, h.groupName, oldRating, change, h.newRating]) {
+      const td = document.createElement("td");
+      td.textContent = String(text);
+      tr.appendChild(td);
+    }
+    body.appendChild(tr);
+  }
+}
+
+(function initPlayersUI() {
+  const search = document.getElementById("playerSearch");
+  if (search) search.addEventListener("input", renderPlayerList);
+
+  loadRegistryPlayers()
+    .then(() => {
+      renderPlayerList();
+      window.renderRegistryLinks();
+    })
+    .catch((err) => console.error(err));
+})();
@@ -0,0 +1,194 @@
+// Print Pages (no DOM)
+// - Print-ready HTML built from a calculation: one result page per group (the columns of the
+//   group sheet) and one rating-change certificate per player
+// - Every page carries the configured event name, date and organizer logo; labels follow the
+//   sheet language (Chinese, English or both, see getSheetLabels in ratingCore.js)
+//
+// Loads in the browser as window.PrintPages and in Node via require("./printPages.js").
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./ratingCore.js"));
+  } else {
+    root.PrintPages = factory(root.RatingCore);
+  }
+})(typeof self !== "undefined" ? self : this, function (RatingCore) {
+  "use strict";
+
+  const { getSheetLabels, hasUnplayedRounds, UNRATED } = RatingCore;
+
+  const PAGE_CSS = `
+body { font-family: 'Segoe UI', 'Microsoft YaHei', sans-serif; color: #1f2a37; margin: 0; }
+.page { padding: 12mm; page-break-after: always; }
+.page:last-child { page-break-after: auto; }
+.page-head { display: flex; align-items: center; gap: 14px; border-bottom: 2px solid #1f2a37; padding-bottom: 8px; margin-bottom: 14px; }
+.page-head img { max-height: 60px; max-width: 160px; }
+.page-head h1 { margin: 0; font-size: 22px; }
+.page-head p { margin: 2px 0 0; color: #4b5563; font-size: 13px; }
+h2 { font-size: 17px; margin: 0 0 10px; }
+table { border-collapse: collapse; font-size: 12px; width: 100%; }
+th, td { border: 1px solid #999; padding: 3px 5px; text-align: center; }
+th { background: #f3f3f3; }
+td.name { text-align: left; white-space: nowrap; }
+.is-positive { color: #008000; font-weight: 600; }
+.is-negative { color: #c00000; font-weight: 600; }
+.is-provisional { background: #BDD7EE; font-style: italic; }
+.certificate { border: 6px double #8a6d3b; margin: 10mm; padding: 14mm; text-align: center; min-height: 150mm; }
+.certificate .page-head { justify-content: center; border: none; }
+.certificate h2 { font-size: 30px; letter-spacing: 4px; margin: 18px 0; }
+.certificate .player { font-size: 26px; font-weight: 600; margin: 14px 0; }
+.certificate table { width: 70%; margin: 18px auto; font-size: 15px; }
+.certificate .signature { display: flex; justify-content: space-between; margin-top: 40px; font-size: 14px; }
+.certificate .signature span { border-top: 1px solid #1f2a37; padding-top: 4px; min-width: 160px; }
+.print-button { position: fixed; top: 10px; right: 10px; padding: 8px 14px; }
+@media print {
+  .print-button { display: none; }
+  @page { size: A4; margin: 10mm; }
+  .certificate { min-height: 0; }
+}
+`;
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function signed(n) {
+    return n > 0 ? `+${n}` : String(n);
+  }
+
+  function changeClass(n) {
+    return n > 0 ? "is-positive" : n < 0 ? "is-negative" : "";
+  }
+
+  // print: { eventName, eventDate, logo (image data URL, optional) }
+  function pageHead(print, subtitle) {
+    const logo = print.logo ? `<img src="${escapeHtml(print.logo)}" alt="" />` : "";
+    const meta = [subtitle, print.eventDate].filter(Boolean).map(escapeHtml).join(" · ");
+    return `<div class="page-head">${logo}<div><h1>${escapeHtml(print.eventName)}</h1><p>${meta}</p></div></div>`;
+  }
+
+  function wrapDocument(title, pages) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(title)}</title>
+<style>${PAGE_CSS}</style>
+</head>
+<body>
+<button class="print-button" onclick="window.print()">Print</button>
+${pages.join("\n")}
+</body>
+</html>
+`;
+  }
+
+  // ===== Result pages =====
+  // report: the event report data (see eventReport.js); print: { eventName, eventDate, logo, language }
+  function buildResultPages(report, print) {
+    const labels = getSheetLabels(print.language);
+
+    const pages = report.sections.map((section) => {
+      const { players, results, roundCount } = section;
+      // Same condition as the 实赛得分 column of the sheet (see calculateGroup)
+      const hasUnplayed = hasUnplayedRounds(players, roundCount) || results.some((r) => r.unrated);
+      const hasAchievements = results.some((r) => r.achievements.length > 0);
+
+      const header = [
+        labels.id,
+        labels.player,
+        labels.rating,
+        labels.k,
+        ...Array.from({ length: roundCount }, (_, i) => labels.round(i + 1)),
+        labels.score,
+        ...(hasUnplayed ? [labels.ratedScore] : []),
+        labels.avgOpponent,
+        labels.expected,
+        labels.change,
+        labels.finalRating,
+        labels.performance,
+        ...(hasAchievements ? [labels.achieved] : []),
+      ];
+
+      const rows = results.map((r, i) => {
+        const provisional = r.unrated ? ` class="is-provisional"` : "";
+        const cells = [
+          `<td>${r.id}</td>`,
+          `<td class="name">${escapeHtml(r.name)}</td>`,
+          `<td${provisional}>${r.unrated ? UNRATED : r.rank}</td>`,
+          `<td>${r.k}</td>`,
+          ...players[i].slice(3, 3 + roundCount).map((token) => `<td>${escapeHtml(token || "")}</td>`),
+          `<td>${r.score}</td>`,
+          ...(hasUnplayed ? [`<td>${r.ratedScore}</td>`] : []),
+          `<td>${r.avgOpponent}</td>`,
+          ...(r.unrated
+            ? ["<td></td>", "<td></td>", `<td${provisional}>${r.finalRank === null ? UNRATED : r.finalRank}</td>`]
+            : [
+              `<td>${r.expected}</td>`,
+              `<td class="${changeClass(r.change)}">${r.change > 0 ? "+" : ""}${r.change.toFixed(1)}</td>`,
+              `<td>${r.finalRank}</td>`,
+            ]),
+          `<td>${r.performance === null ? "" : r.performance}</td>`,
+          ...(hasAchievements ? [`<td>${escapeHtml(r.achievements.join(", "))}</td>`] : []),
+        ];
+        return `<tr>${cells.join("")}</tr>`;
+      });
+
+      return `<section class="page">
+${pageHead(print, labels.resultPage)}
+<h2>${escapeHtml(labels.sheetTitle(section.title))}</h2>
+<table>
+<thead><tr>${header.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead>
+<tbody>
+${rows.join("\n")}
+</tbody>
+</table>
+</section>`;
+    });
+
+    return wrapDocument(`${print.eventName} - ${labels.resultPage}`, pages);
+  }
+
+  // ===== Certificates =====
+  // One page per player of every group, in group order
+  function buildCertificates(report, print) {
+    const labels = getSheetLabels(print.language);
+
+    const pages = report.sections.flatMap((section) =>
+      section.results.map((r) => {
+        const delta = r.finalRank - r.rank;
+        // Unrated players: no change, the initial rating is provisional
+        const finalRating = r.finalRank === null ? UNRATED : `<strong>${r.finalRank}</strong>`;
+        const rows = [
+          [labels.oldRating, r.unrated ? UNRATED : r.rank],
+          [labels.score, r.score],
+          [labels.performance, r.performance === null ? "" : r.performance],
+          [labels.change, r.unrated ? "" : `<span class="${changeClass(delta)}">${signed(delta)}</span>`],
+          [labels.finalRating, r.provisional ? `${finalRating} (${escapeHtml(labels.provisional)})` : finalRating],
+          ...(r.achievements.length > 0 ? [[labels.achieved, escapeHtml(r.achievements.join(", "))]] : []),
+        ];
+        return `<section class="page"><div class="certificate">
+${pageHead(print, "")}
+<h2>${escapeHtml(labels.certificate)}</h2>
+<div class="player">${escapeHtml(r.name)}</div>
+<p>${escapeHtml(labels.certificateText(r.name, section.title))}</p>
+<table>
+${rows.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${value}</td></tr>`).join("\n")}
+</table>
+<div class="signature"><span>${escapeHtml(labels.date)}: ${escapeHtml(print.eventDate || "")}</span><span>${escapeHtml(labels.signature)}</span></div>
+</div></section>`;
+      })
+    );
+
+    return wrapDocument(`${print.eventName} - ${labels.certificate}`, pages);
+  }
+
+  return {
+    buildResultPages,
+    buildCertificates,
+  };
+});
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+// Rank Score Calculator - command line batch rater
+// Produces the same styled workbook (.xlsx) and update file (.txt, name,oldRank,newRank)
+// as the Calculate button in the browser.
+//
+// Needs xlsx-js-style next to this file:   npm install xlsx-js-style@1.2.0
+//
+// Usage:
+//   node rateCli.js <folder | file.txt | "pattern*.txt"> ... --rounds 4 --mark 2 --out output
+//
+// Options:
+//   --rounds <n>           number of rounds for every file (default: detected per file from its columns)
+//   --mark <1|2>           mark per round for every file (default: detected per file from its W/D/L results)
+//   --out <path>           output path without extension (default: output)
+//   --k-source <bands|file>  where K comes from (default: bands)
+//   --rules <profile.json> rules profile exported from the calculator (default: built-in)
+//   --standings <list>     add a standings sheet per group, tiebreaks in order, comma separated
+//                          (buchholz, medianBuchholz, sonnebornBerger, directEncounter, wins,
+//                          performance; "none" for score only)
+//   --language <zh|en|both>  sheet labels in Chinese, English or both (default: zh)
+//   --formulas             write the result columns as live Excel formulas (no value needed)
+//
+// Exit codes:
+//   0  workbook and update file written (warnings may still be printed)
+//   1  validation errors, nothing written
+//   2  bad arguments or unreadable input
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  DEFAULT_RULES_PROFILE,
+  normalizeRulesProfile,
+  TIEBREAKS,
+  SHEET_LANGUAGES,
+  sanitizeSheetName,
+  parsePlayersFromText,
+  detectRoundCount,
+  detectMarkPerRound,
+} = require("./ratingCore.js");
+const { validateGroups, hasValidationErrors, buildRatingWorkbook, writeRatingWorkbook } = require("./ratingWorkbook.js");
+
+const EXIT_OK = 0;
+const EXIT_VALIDATION = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const opts = {
+    inputs: [],
+    out: "output",
+    kSource: "bands",
+    rules: null,
+    standings: null,
+    language: "zh",
+    formulas: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      opts.inputs.push(arg);
+      continue;
+    }
+    if (arg === "--formulas") {
+      opts.formulas = true;
+      continue;
+    }
+
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith("--")) {
+      throw new UsageError(`Missing value for ${arg}`);
+    }
+    i++;
+
+    if (arg === "--rounds") opts.rounds = parseInt(value, 10);
+    else if (arg === "--mark") opts.mark = parseInt(value, 10);
+    else if (arg === "--out") opts.out = value.replace(/\.(xlsx|txt)$/i, "");
+    else if (arg === "--k-source") opts.kSource = value;
+    else if (arg === "--rules") opts.rules = value;
+    else if (arg === "--standings") opts.standings = parseTiebreaks(value);
+    else if (arg === "--language") opts.language = value;
+    else throw new UsageError(`Unknown option ${arg}`);
+  }
+
+  if (opts.inputs.length === 0) throw new UsageError("No input files given");
+  if (opts.rounds !== undefined && !(opts.rounds >= 1)) throw new UsageError("--rounds must be a positive number");
+  if (opts.mark !== undefined && opts.mark !== 1 && opts.mark !== 2) throw new UsageError("--mark must be 1 or 2");
+  if (opts.kSource !== "bands" && opts.kSource !== "file") throw new UsageError('--k-source must be "bands" or "file"');
+  if (!SHEET_LANGUAGES.includes(opts.language)) throw new UsageError(`--language must be ${SHEET_LANGUAGES.join(", ")}`);
+
+  return opts;
+}
+
+function parseTiebreaks(value) {
+  const ids = value === "none" ? [] : value.split(",").map((id) => id.trim()).filter(Boolean);
+  const unknown = ids.filter((id) => !TIEBREAKS.some((t) => t.id === id));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown tiebreak ${unknown.join(", ")} (use ${TIEBREAKS.map((t) => t.id).join(", ")})`);
+  }
+  return { tiebreaks: ids };
+}
+
+// Simple * and ? matching on the file name part only (e.g. "results/A*.txt")
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+function resolveInputs(inputs) {
+  const files = [];
+
+  for (const input of inputs) {
+    if (/[*?]/.test(path.basename(input))) {
+      const dir = path.dirname(input);
+      const re = globToRegExp(path.basename(input));
+      if (!fs.existsSync(dir)) throw new UsageError(`Folder not found: ${dir}`);
+      const matches = fs.readdirSync(dir).filter((f) => re.test(f)).sort();
+      if (matches.length === 0) throw new UsageError(`No files match ${input}`);
+      files.push(...matches.map((f) => path.join(dir, f)));
+    } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      const matches = fs.readdirSync(input).filter((f) => /\.txt$/i.test(f)).sort();
+      if (matches.length === 0) throw new UsageError(`No .txt files in ${input}`);
+      files.push(...matches.map((f) => path.join(input, f)));
+    } else if (fs.existsSync(input)) {
+      files.push(input);
+    } else {
+      throw new UsageError(`File not found: ${input}`);
+    }
+  }
+
+  return files;
+}
+
+function loadRules(rulesPath) {
+  if (!rulesPath) return DEFAULT_RULES_PROFILE;
+  try {
+    return normalizeRulesProfile(JSON.parse(fs.readFileSync(rulesPath, "utf8")));
+  } catch (err) {
+    throw new UsageError(`Could not load rules profile ${rulesPath}: ${err.message}`);
+  }
+}
+
+function printReport(report) {
+  for (const { groupName, issues } of report) {
+    for (const issue of issues) {
+      const where = issue.round ? `${issue.player}, round ${issue.round}` : issue.player;
+      console.error(`[${issue.level}] ${groupName} ${where}: ${issue.message}`);
+    }
+  }
+}
+
+function main(argv) {
+  let XLSX;
+  try {
+    XLSX = require("xlsx-js-style");
+  } catch (err) {
+    console.error("xlsx-js-style is not installed. Run: npm install xlsx-js-style@1.2.0");
+    return EXIT_USAGE;
+  }
+
+  let opts, files, rules;
+  try {
+    opts = parseArgs(argv);
+    files = resolveInputs(opts.inputs);
+    rules = loadRules(opts.rules);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(err.message);
+    console.error("Usage: node rateCli.js <folder | files | pattern> [--rounds <n>] [--mark <1|2>] [--out output]");
+    return EXIT_USAGE;
+  }
+
+  // Each file keeps its own round count and mark unless they are given on the command line
+  const groups = files.map((file) => {
+    const players = parsePlayersFromText(fs.readFileSync(file, "utf8"));
+    const roundCount = opts.rounds || detectRoundCount(players);
+    const markPerRound = opts.mark || (roundCount && detectMarkPerRound(players, roundCount));
+    return {
+      fileName: path.basename(file),
+      sheetBase: sanitizeSheetName(path.basename(file)),
+      players,
+      roundCount,
+      markPerRound,
+    };
+  });
+
+  const undetected = groups.filter((g) => g.players.length > 0 && (!g.roundCount || !g.markPerRound));
+  if (undetected.length > 0) {
+    console.error(`Could not detect rounds / mark for ${undetected.map((g) => g.fileName).join(", ")}, use --rounds and --mark`);
+    return EXIT_USAGE;
+  }
+
+  const settings = {
+    roundCount: opts.rounds,
+    markPerRound: opts.mark,
+    rules,
+    kSource: opts.kSource,
+    standings: opts.standings,
+    language: opts.language,
+    formulas: opts.formulas,
+  };
+
+  const report = validateGroups(groups, settings);
+  printReport(report);
+  if (hasValidationErrors(report)) {
+    console.error("Validation failed, no files written.");
+    return EXIT_VALIDATION;
+  }
+
+  const { workbook, updateLines, noFormulaGroups } = buildRatingWorkbook(XLSX, groups, settings);
+  if (workbook.SheetNames.length === 0) {
+    console.error("No valid player rows found in the input files.");
+    return EXIT_VALIDATION;
+  }
+
+  fs.writeFileSync(`${opts.out}.xlsx`, writeRatingWorkbook(XLSX, workbook));
+  console.log(`Wrote ${opts.out}.xlsx (${workbook.SheetNames.length} sheet(s))`);
+  if (noFormulaGroups.length > 0) {
+    console.error(`Written without live formulas (unrated players): ${noFormulaGroups.join(", ")}`);
+  }
+
+  if (updateLines.length > 0) {
+    fs.writeFileSync(`${opts.out}.txt`, updateLines.join("\n"));
+    console.log(`Wrote ${opts.out}.txt (${updateLines.length} player(s))`);
+  }
+
+  return EXIT_OK;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
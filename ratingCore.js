@@ -0,0 +1,1237 @@
+// Rating Core (no DOM, no XLSX)
+// - Parses group .txt files, validates results and calculates rating changes
+// - Builds the sheet data (array of arrays + layout meta) used by the Excel export
+// - Ranks each group by total score with configurable tiebreaks (standings sheet)
+// - Unrated (NR) players get a provisional initial rating from their performance against rated
+//   opponents; the rules profile sets the minimum games and how their opponents count the games
+// - Sheet labels in Chinese, English or both (getSheetLabels)
+// - Loads in the browser as window.RatingCore and in Node via require("./ratingCore.js")
+//
+// Every function takes its settings explicitly (roundCount, markPerRound, rules profile),
+// nothing is read from the page. Example (Node):
+//
+//   const { parsePlayersFromText, calculateGroup } = require("./ratingCore.js");
+//   const players = parsePlayersFromText(fs.readFileSync("A组.txt", "utf8"));
+//   const { results } = calculateGroup(players, { groupName: "A组", roundCount: 4, markPerRound: 2 });
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RatingCore = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const MIN_FINAL_RANK = 1550;
+
+  // Rating cell of a player without a rating (an empty cell is read the same way)
+  const UNRATED = "NR";
+
+  // K value policy: K is derived from the pre-event rating using these bands
+  // (highest first, a band applies from `min` upwards). The same bands are
+  // printed as the K table on every sheet.
+  const K_BANDS = [
+    { min: 2000, k: 10 },
+    { min: 1700, k: 15 },
+    { min: 1550, k: 20 },
+    { min: null, k: 30 }, // everything below the previous band
+  ];
+
+  // Expected score per game by rating difference:
+  // [minDiff, maxDiff, expected when rated higher or equal, expected when rated lower]
+  const EXPECTED_SCORE_TABLE = [
+    [0, 3, 0.5, 0.5],
+    [4, 10, 0.51, 0.49],
+    [11, 17, 0.52, 0.48],
+    [18, 25, 0.53, 0.47],
+    [26, 32, 0.54, 0.46],
+    [33, 39, 0.55, 0.45],
+    [40, 46, 0.56, 0.44],
+    [47, 53, 0.57, 0.43],
+    [54, 61, 0.58, 0.42],
+    [62, 68, 0.59, 0.41],
+    [69, 76, 0.6, 0.4],
+    [77, 83, 0.61, 0.39],
+    [84, 91, 0.62, 0.38],
+    [92, 98, 0.63, 0.37],
+    [99, 106, 0.64, 0.36],
+    [107, 113, 0.65, 0.35],
+    [114, 121, 0.66, 0.34],
+    [122, 129, 0.67, 0.33],
+    [130, 137, 0.68, 0.32],
+    [138, 145, 0.69, 0.31],
+    [146, 153, 0.7, 0.3],
+    [154, 162, 0.71, 0.29],
+    [163, 170, 0.72, 0.28],
+    [171, 179, 0.73, 0.27],
+    [180, 188, 0.74, 0.26],
+    [189, 197, 0.75, 0.25],
+    [198, 206, 0.76, 0.24],
+    [207, 215, 0.77, 0.23],
+    [216, 225, 0.78, 0.22],
+    [226, 235, 0.79, 0.21],
+    [236, 245, 0.8, 0.2],
+    [246, 256, 0.81, 0.19],
+    [257, 267, 0.82, 0.18],
+    [268, 278, 0.83, 0.17],
+    [279, 290, 0.84, 0.16],
+    [291, 302, 0.85, 0.15],
+    [303, 315, 0.86, 0.14],
+    [316, 328, 0.87, 0.13],
+    [329, 344, 0.88, 0.12],
+    [345, 357, 0.89, 0.11],
+    [358, 374, 0.9, 0.1],
+    [375, 391, 0.91, 0.09],
+    [392, 411, 0.92, 0.08],
+    [412, 432, 0.93, 0.07],
+    [433, 456, 0.94, 0.06],
+    [457, 484, 0.95, 0.05],
+    [485, 517, 0.96, 0.04],
+    [518, 559, 0.97, 0.03],
+    [560, 619, 0.98, 0.02],
+    [620, 734, 0.99, 0.01],
+  ];
+
+  // Built-in rules profile (rulesProfiles.js adds user profiles on top of this one in the browser)
+  const DEFAULT_RULES_PROFILE = {
+    name: "Default",
+    version: 1,
+    minFinalRank: MIN_FINAL_RANK,
+    opponentAvgRounding: "ceil", // "ceil" | "round" | "floor"
+    expectedDecimals: 1,
+    kBands: K_BANDS,
+    expectedTable: EXPECTED_SCORE_TABLE,
+    // [{ label, minPerformance, minGames }]: players reaching a threshold are marked on the sheet
+    achievements: [],
+    // Unrated players get their performance against rated opponents as a provisional initial
+    // rating once they have played this many of those games
+    provisionalMinGames: 3,
+    // Games of rated players against unrated ones: "exclude" (not rated, like unplayed rounds) or
+    // "initial" (rated against the opponent's initial rating, when they got one)
+    unratedOpponents: "exclude",
+  };
+
+  // Validate a profile coming from the editor or an imported JSON file.
+  // Throws an Error with a readable message when something is wrong.
+  function normalizeRulesProfile(raw) {
+    if (!raw || typeof raw !== "object") throw new Error("Profile must be a JSON object.");
+
+    const name = String(raw.name || "").trim();
+    if (!name) throw new Error("Profile name is required.");
+
+    const minFinalRank = parseInt(raw.minFinalRank, 10);
+    if (!Number.isFinite(minFinalRank)) throw new Error("Minimum final rating must be a number.");
+
+    const opponentAvgRounding = raw.opponentAvgRounding || "ceil";
+    if (!["ceil", "round", "floor"].includes(opponentAvgRounding)) {
+      throw new Error('Opponent average rounding must be "ceil", "round" or "floor".');
+    }
+
+    const expectedDecimals = parseInt(raw.expectedDecimals, 10);
+    if (!Number.isFinite(expectedDecimals) || expectedDecimals < 0 || expectedDecimals > 4) {
+      throw new Error("Expected score decimals must be between 0 and 4.");
+    }
+
+    if (!Array.isArray(raw.kBands) || raw.kBands.length === 0) {
+      throw new Error("At least one K band is required.");
+    }
+    if (raw.kBands.filter((band) => band.min === null || band.min === "").length > 1) {
+      throw new Error("Only the lowest K band may leave the minimum rating empty.");
+    }
+    const kBands = raw.kBands
+      .map((band) => ({
+        min: band.min === null || band.min === "" ? null : parseInt(band.min, 10),
+        k: parseInt(band.k, 10),
+      }))
+      .sort((a, b) => (b.min === null ? -Infinity : b.min) - (a.min === null ? -Infinity : a.min));
+    if (kBands.some((band) => !Number.isFinite(band.k) || Number.isNaN(band.min))) {
+      throw new Error("Every K band needs a numeric K (and a numeric minimum rating, except the lowest band).");
+    }
+    // The lowest band always covers everything below it
+    kBands[kBands.length - 1].min = null;
+
+    if (!Array.isArray(raw.expectedTable) || raw.expectedTable.length === 0) {
+      throw new Error("The expected score table is empty.");
+    }
+    const expectedTable = raw.expectedTable.map((row) => row.map(Number));
+    expectedTable.forEach((row, i) => {
+      if (row.length !== 4 || row.some((x) => !Number.isFinite(x))) {
+        throw new Error(`Expected score table line ${i + 1} must be: minDiff, maxDiff, higher, lower`);
+      }
+      if (i > 0 && row[0] <= expectedTable[i - 1][1]) {
+        throw new Error(`Expected score table line ${i + 1} overlaps the previous line.`);
+      }
+    });
+
+    // Optional, profiles saved before thresholds existed have none
+    const achievements = (Array.isArray(raw.achievements) ? raw.achievements : []).map((a, i) => {
+      const label = String((a && a.label) || "").trim();
+      const minPerformance = parseInt(a && a.minPerformance, 10);
+      const minGames = parseInt(a && a.minGames, 10);
+      if (!label || !Number.isFinite(minPerformance) || !Number.isFinite(minGames) || minGames < 1) {
+        throw new Error(`Achievement threshold ${i + 1} must be: label, minimum performance, minimum games (1 or more)`);
+      }
+      return { label, minPerformance, minGames };
+    });
+
+    // Optional, profiles saved before unrated players were supported get the defaults
+    const provisionalMinGames =
+      raw.provisionalMinGames === undefined || raw.provisionalMinGames === ""
+        ? DEFAULT_RULES_PROFILE.provisionalMinGames
+        : parseInt(raw.provisionalMinGames, 10);
+    if (!Number.isFinite(provisionalMinGames) || provisionalMinGames < 1) {
+      throw new Error("Minimum games for an initial rating must be 1 or more.");
+    }
+    const unratedOpponents = raw.unratedOpponents || DEFAULT_RULES_PROFILE.unratedOpponents;
+    if (!["exclude", "initial"].includes(unratedOpponents)) {
+      throw new Error('Games against unrated players must be "exclude" or "initial".');
+    }
+
+    const version = parseInt(raw.version, 10);
+    return {
+      name,
+      version: Number.isFinite(version) && version > 0 ? version : 1,
+      minFinalRank,
+      opponentAvgRounding,
+      expectedDecimals,
+      kBands,
+      expectedTable,
+      achievements,
+      provisionalMinGames,
+      unratedOpponents,
+    };
+  }
+
+  // ===== Sheet Labels (Chinese / English / both) =====
+  // Every text written into the sheets, and onto the printed result pages and certificates.
+  // Templates are functions of the values they show. "both" joins the Chinese and the English
+  // label ("总得分 / Total"); sheet names use a space instead, "/" is not allowed in them.
+  const SHEET_LANGUAGES = ["zh", "en", "both"];
+
+  const SHEET_LABELS = {
+    zh: {
+      // Group sheet
+      sheetTitle: (group) => `${group} 等级分比赛`,
+      rulesLabel: (name, version, rounds, mark) => `规则配置: ${name} (v${version}) · ${rounds}轮, 每轮${mark}分`,
+      unplayedLegend: "BYE/+/-/= 未赛",
+      kMismatchLegend: "K值与K表不符",
+      provisionalLegend: "NR/暂定",
+      provisionalNote: (minGames, rule) =>
+        `NR = 无等级分: 按对有等级分对手的表现分定级 (至少${minGames}局, 暂定); ` +
+        (rule === "initial" ? "对手按其定级分计算" : "与其对局不计入对手的等级分"),
+      kTableRating: "等级分",
+      kTableK: "K值",
+      kBandAll: "全部",
+      kBandFrom: (min) => `${min}或以上`,
+      kBandUpTo: (max) => `${max}或以下`,
+      id: "编号",
+      player: "棋手",
+      rating: "等级分",
+      k: "K值",
+      round: (n) => `第${n}轮`,
+      score: "总得分",
+      ratedScore: "实赛得分",
+      avgOpponent: "平均对手等级分",
+      expected: "期望分",
+      change: "变化",
+      finalRating: "最终等级分",
+      performance: "表现分",
+      achieved: "达标",
+      // Standings sheet
+      standingsSheet: "名次",
+      standingsTitle: (group) => `${group} 名次`,
+      place: "名次",
+      tiebreak: (t) => t.header,
+      tiebreakOrder: (tiebreaks) => `破同分: ${tiebreaks.map((t) => t.header).join(" > ")}`,
+      tiebreakNone: "破同分: 无",
+      // Summary sheet
+      summarySheet: "汇总",
+      summaryNote: (groups, players) => `${groups} 个组, ${players} 名棋手`,
+      groupStats: "各组统计",
+      group: "组别",
+      playerCount: "人数",
+      averageRating: "平均等级分",
+      totalChange: "等级分变化合计",
+      floorAdjusted: "保底调整人数",
+      oldRating: "原等级分",
+      topGains: (n) => `涨幅最大 (前${n}名)`,
+      topLosses: (n) => `跌幅最大 (前${n}名)`,
+      allPlayers: "全部棋手 (按最终等级分)",
+      // Achievement sheet
+      achievementSheet: "达标名单",
+      games: "对局数",
+      threshold: (label, performance, games) => `${label}: 表现分 ≥ ${performance}, 至少 ${games} 局`,
+      none: "无",
+      // Hidden expected score sheet (live formula export)
+      expectedTableSheet: "期望分表",
+      noFormulas: (groups) => `以下组别有未定级 (NR) 棋手, 结果未写成公式: ${groups.join(", ")}`,
+      diffFrom: "分差下限",
+      diffTo: "分差上限",
+      expectedAhead: "高分方期望",
+      expectedBehind: "低分方期望",
+      expectedAheadPoints: (fullMark) => `高分方期望 (满分${fullMark})`,
+      expectedBehindPoints: (fullMark) => `低分方期望 (满分${fullMark})`,
+      // Printed result pages and certificates
+      resultPage: "成绩表",
+      certificate: "等级分证书",
+      certificateText: (name, group) => `${name} 参加 ${group} 比赛, 等级分变动如下:`,
+      provisional: "暂定",
+      date: "日期",
+      signature: "裁判长",
+    },
+    en: {
+      sheetTitle: (group) => `${group} Rating Tournament`,
+      rulesLabel: (name, version, rounds, mark) =>
+        `Rules: ${name} (v${version}) · ${rounds} rounds, ${mark} point(s) per round`,
+      unplayedLegend: "BYE/+/-/= not played",
+      kMismatchLegend: "K differs from K table",
+      provisionalLegend: "NR/provisional",
+      provisionalNote: (minGames, rule) =>
+        `NR = unrated: initial rating from the performance against rated opponents (at least ${minGames} games, provisional); ` +
+        (rule === "initial" ? "opponents are rated against it" : "their games do not count for the opponents' ratings"),
+      kTableRating: "Rating",
+      kTableK: "K",
+      kBandAll: "All",
+      kBandFrom: (min) => `${min} and above`,
+      kBandUpTo: (max) => `${max} and below`,
+      id: "No.",
+      player: "Player",
+      rating: "Rating",
+      k: "K",
+      round: (n) => `R${n}`,
+      score: "Total",
+      ratedScore: "Played score",
+      avgOpponent: "Avg opponent rating",
+      expected: "Expected",
+      change: "Change",
+      finalRating: "Final rating",
+      performance: "Performance",
+      achieved: "Achieved",
+      standingsSheet: "Standings",
+      standingsTitle: (group) => `${group} Standings`,
+      place: "Place",
+      tiebreak: (t) => t.label,
+      tiebreakOrder: (tiebreaks) => `Tiebreaks: ${tiebreaks.map((t) => t.label).join(" > ")}`,
+      tiebreakNone: "Tiebreaks: none",
+      summarySheet: "Summary",
+      summaryNote: (groups, players) => `${groups} group(s), ${players} player(s)`,
+      groupStats: "Group statistics",
+      group: "Group",
+      playerCount: "Players",
+      averageRating: "Average rating",
+      totalChange: "Total rating change",
+      floorAdjusted: "Raised to floor",
+      oldRating: "Old rating",
+      topGains: (n) => `Biggest gains (top ${n})`,
+      topLosses: (n) => `Biggest losses (top ${n})`,
+      allPlayers: "All players (by final rating)",
+      achievementSheet: "Achievements",
+      games: "Games",
+      threshold: (label, performance, games) => `${label}: performance ≥ ${performance}, at least ${games} games`,
+      none: "None",
+      expectedTableSheet: "Expected score table",
+      noFormulas: (groups) => `Results written without formulas (unrated players): ${groups.join(", ")}`,
+      diffFrom: "Difference from",
+      diffTo: "Difference to",
+      expectedAhead: "Expected (higher rated)",
+      expectedBehind: "Expected (lower rated)",
+      expectedAheadPoints: (fullMark) => `Expected (higher rated, ${fullMark} points)`,
+      expectedBehindPoints: (fullMark) => `Expected (lower rated, ${fullMark} points)`,
+      resultPage: "Results",
+      certificate: "Rating Certificate",
+      certificateText: (name, group) => `${name} played in ${group} with the following rating change:`,
+      provisional: "provisional",
+      date: "Date",
+      signature: "Chief arbiter",
+    },
+  };
+
+  const SHEET_NAME_LABELS = ["standingsSheet", "summarySheet", "achievementSheet", "expectedTableSheet"];
+
+  // language: "zh" (default) | "en" | "both"
+  function getSheetLabels(language = "zh") {
+    if (language !== "both") return SHEET_LABELS[language] || SHEET_LABELS.zh;
+
+    const labels = {};
+    for (const key of Object.keys(SHEET_LABELS.zh)) {
+      const zh = SHEET_LABELS.zh[key];
+      const en = SHEET_LABELS.en[key];
+      const separator = SHEET_NAME_LABELS.includes(key) ? " " : " / ";
+      const join = (a, b) => (a === b ? a : `${a}${separator}${b}`);
+      labels[key] = typeof zh === "function" ? (...args) => join(zh(...args), en(...args)) : join(zh, en);
+    }
+    return labels;
+  }
+
+  function sanitizeSheetName(name) {
+    // Excel sheet name rules: max 31 chars, cannot contain: : \ / ? * [ ]
+    const cleaned = String(name)
+      .replace(/\.[^/.]+$/, "") // remove extension
+      .replace(/[:\\/?*\[\]]/g, "_")
+      .trim();
+    return (cleaned || "Group").slice(0, 31);
+  }
+
+  function makeUniqueSheetName(baseName, existing) {
+    let name = baseName.slice(0, 31);
+    if (!existing.has(name)) {
+      existing.add(name);
+      return name;
+    }
+
+    // Add suffix _2, _3 ... and keep within 31 chars
+    let i = 2;
+    while (true) {
+      const suffix = `_${i}`;
+      const trimmedBase = baseName.slice(0, Math.max(0, 31 - suffix.length));
+      const candidate = `${trimmedBase}${suffix}`;
+      if (!existing.has(candidate)) {
+        existing.add(candidate);
+        return candidate;
+      }
+      i++;
+    }
+  }
+
+  // An empty rating cell or "NR": the player has no rating yet
+  function isUnratedRating(value) {
+    const text = String(value === undefined || value === null ? "" : value).trim();
+    return text === "" || text.toUpperCase() === UNRATED;
+  }
+
+  // Returns why a row cannot be used as a player, or null when it is fine
+  function getPlayerRowProblem(row) {
+    // Expect at least: name, rank, k, ... (k may be left empty, the K bands are used then)
+    if (!row || row.length < 4) return "Fewer than 4 columns (name, rating, K, rounds...)";
+    if (!String(row[0] || "").trim()) return "Name is empty";
+    if (!isUnratedRating(row[1]) && !Number.isFinite(parseInt(row[1], 10))) {
+      return `Rating "${row[1]}" is not a number (leave it empty or write ${UNRATED} for an unrated player)`;
+    }
+    const kText = String(row[2] || "").trim();
+    if (kText !== "" && !Number.isFinite(parseInt(kText, 10))) return `K "${kText}" is not a number`;
+    return null;
+  }
+
+  function isValidPlayerRow(row) {
+    return getPlayerRowProblem(row) === null;
+  }
+
+  // ===== K Policy =====
+  function getPolicyK(rank, rules = DEFAULT_RULES_PROFILE) {
+    const bands = rules.kBands;
+    for (const band of bands) {
+      if (band.min === null || rank >= band.min) return band.k;
+    }
+    return bands[bands.length - 1].k;
+  }
+
+  // Labels for the K table, e.g. "2000或以上", "1700-1999", "1549或以下"
+  function getKBandLabels(rules = DEFAULT_RULES_PROFILE, language = "zh") {
+    const labels = getSheetLabels(language);
+    const bands = rules.kBands;
+    return bands.map((band, i) => {
+      if (i === 0) return band.min === null ? labels.kBandAll : labels.kBandFrom(band.min);
+      const upper = bands[i - 1].min - 1;
+      if (band.min === null) return labels.kBandUpTo(upper);
+      return `${band.min}-${upper}`;
+    });
+  }
+
+
+  // Splits delimited text into rows of trimmed cells. Cells may be quoted ("Lee, Ann"),
+  // a doubled quote inside a quoted cell is a literal quote. Blank lines give [""].
+  function parseDelimitedText(text, delimiter = ",") {
+    const src = String(text).replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (quoted) {
+        if (ch === '"' && src[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"' && cell.trim() === "") {
+        quoted = true;
+        cell = "";
+      } else if (ch === delimiter) {
+        row.push(cell.trim());
+        cell = "";
+      } else if (ch === "\n") {
+        row.push(cell.trim());
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += ch;
+      }
+    }
+
+    if (cell !== "" || row.length > 0) {
+      row.push(cell.trim());
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // rows: string[][] in name,rank,k,r1..rN,score order.
+  // Returns { players, skipped: [{ rowNumber, reason, text }] }, blank rows are ignored.
+  // rowNumbers are 1-based and count from firstRowNumber (e.g. 2 when row 1 was a header).
+  function parsePlayerRows(rows, firstRowNumber = 1) {
+    const players = [];
+    const skipped = [];
+
+    rows.forEach((row, i) => {
+      if (!row || row.every((cell) => String(cell).trim() === "")) return;
+      const problem = getPlayerRowProblem(row);
+      if (problem) {
+        skipped.push({ rowNumber: firstRowNumber + i, reason: problem, text: row.join(", ") });
+      } else {
+        players.push(row);
+      }
+    });
+
+    return { players, skipped };
+  }
+
+  // Legacy .txt format: one player per line, comma separated
+  function parsePlayersFromText(text) {
+    return parsePlayerRows(parseDelimitedText(text, ",")).players;
+  }
+
+  // Inverse of parsePlayersFromText: name,rank,k,r1..rN,score per line.
+  // Cells containing a comma or quote are quoted so names like "Lee, Ann" survive.
+  function formatPlayersAsText(players, roundCount) {
+    const quote = (cell) => {
+      const text = cell === undefined || cell === null ? "" : String(cell);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return players
+      .map((player) => {
+        const cells = Array.from({ length: 4 + roundCount }, (_, i) => player[i]);
+        return cells.map(quote).join(",");
+      })
+      .join("\n");
+  }
+
+  // Unplayed rounds: BYE (no opponent, scores a win), forfeits +6 / -6 (won / lost without play)
+  // and =6 (draw without play). They count in the total score but not in the rating calculation.
+  const FORFEIT_RESULT = { "+": "W", "-": "L", "=": "D" };
+
+  // Returns { opponentId, result: "W" | "D" | "L" | null, display, unplayed, bye }
+  function parseOpponentToken(token) {
+    if (token === undefined || token === null) {
+      return { opponentId: null, result: null, display: "", unplayed: false, bye: false };
+    }
+
+    const raw = String(token).trim();
+    if (!raw) {
+      return { opponentId: null, result: null, display: "", unplayed: false, bye: false };
+    }
+
+    if (/^bye$/i.test(raw)) {
+      return { opponentId: null, result: null, display: raw, unplayed: true, bye: true };
+    }
+
+    const forfeit = FORFEIT_RESULT[raw[0]];
+    if (forfeit) {
+      const opponentId = parseInt(raw.slice(1), 10);
+      return {
+        opponentId: Number.isFinite(opponentId) ? opponentId : null,
+        result: forfeit,
+        display: raw,
+        unplayed: true,
+        bye: false,
+      };
+    }
+
+    const first = raw[0].toUpperCase();
+    const result = first === "W" || first === "D" || first === "L" ? first : null;
+    const maybeNumber = result ? raw.slice(1) : raw;
+
+    const opponentId = parseInt(maybeNumber, 10);
+    return {
+      opponentId: Number.isFinite(opponentId) ? opponentId : null,
+      result,
+      display: raw,
+      unplayed: false,
+      bye: false,
+    };
+  }
+
+  function hasUnplayedRounds(players, roundCount) {
+    return players.some((player) =>
+      Array.from({ length: roundCount }, (_, i) => parseOpponentToken(player[3 + i])).some((t) => t.unplayed)
+    );
+  }
+
+  // ===== Result Validation (runs before the workbook is built) =====
+  // W = full mark for the round, D = half, L = nothing (the same for +, = and -). A BYE scores a win.
+  function resultPoints(result, markPerRound) {
+    if (result === "W") return markPerRound;
+    if (result === "D") return markPerRound / 2;
+    if (result === "L") return 0;
+    return null;
+  }
+
+  const MIRRORED_RESULT = { W: "L", D: "D", L: "W" };
+
+  // Returns [{ level: "error" | "warning", player, round, message }]
+  // - errors block the export (wrong score, broken pairings, rows getPlayerRowProblem rejects:
+  //   rows edited in the results table did not go through the import filter)
+  // - warnings are shown but do not block (e.g. plain "6" tokens whose result cannot be checked)
+  function validateGroup(players, roundCount, markPerRound) {
+    const issues = [];
+    const playerLabel = (index) => `#${index + 1} ${players[index][0]}`;
+
+    function addIssue(level, index, round, message) {
+      issues.push({ level, player: playerLabel(index), round, message });
+    }
+
+    const parsed = players.map((player) =>
+      Array.from({ length: roundCount }, (_, i) => parseOpponentToken(player[3 + i]))
+    );
+
+    let unverifiedPlayers = 0;
+
+    players.forEach((player, index) => {
+      const selfId = index + 1;
+      let computedScore = 0;
+      let unverifiable = false;
+
+      const problem = getPlayerRowProblem(player);
+      if (problem) addIssue("error", index, null, problem);
+
+      for (let r = 0; r < roundCount; r++) {
+        const { opponentId, result, display, unplayed, bye } = parsed[index][r];
+        const round = r + 1;
+
+        if (!display) continue;
+
+        if (bye) {
+          computedScore += markPerRound;
+          continue;
+        }
+
+        if (opponentId === null) {
+          addIssue("warning", index, round, `Unrecognized token "${display}" (ignored in calculation)`);
+          unverifiable = true;
+          continue;
+        }
+
+        if (result) computedScore += resultPoints(result, markPerRound);
+        else unverifiable = true;
+
+        if (opponentId === selfId) {
+          addIssue("error", index, round, "Player is paired against themselves");
+          continue;
+        }
+
+        if (opponentId < 1 || opponentId > players.length) {
+          addIssue("error", index, round, `Opponent #${opponentId} does not exist (group has ${players.length} players)`);
+          continue;
+        }
+
+        // Reciprocity: the opponent must point back to this player in the same round
+        const opp = parsed[opponentId - 1][r];
+        if (opp.opponentId !== selfId) {
+          const oppSays = opp.display ? `"${opp.display}"` : "nothing";
+          addIssue("error", index, round, `Has "${display}" but ${playerLabel(opponentId - 1)} has ${oppSays}`);
+          continue;
+        }
+
+        // Report a result mismatch once per pair (a forfeit must be a forfeit on both rows)
+        const mismatch = MIRRORED_RESULT[result] !== opp.result || unplayed !== opp.unplayed;
+        if (result && opp.result && selfId < opponentId && mismatch) {
+          addIssue("error", index, round, `Has "${display}" but ${playerLabel(opponentId - 1)} has "${opp.display}"`);
+        }
+      }
+
+      const score = parseFloat(player[3 + roundCount]);
+      if (!Number.isFinite(score)) {
+        addIssue("error", index, null, `Total score is missing (expected in column ${4 + roundCount})`);
+      } else if (unverifiable) {
+        unverifiedPlayers++;
+      } else if (Math.abs(computedScore - score) > 1e-9) {
+        addIssue("error", index, null, `Total score ${score} does not match W/D/L results (${computedScore})`);
+      }
+    });
+
+    // Plain "6" tokens are allowed, but then the total score cannot be cross-checked
+    if (unverifiedPlayers > 0) {
+      issues.push({
+        level: "warning",
+        player: "Group",
+        round: null,
+        message: `${unverifiedPlayers} player(s) have rounds without a W/D/L prefix, their total score could not be verified`,
+      });
+    }
+
+    // An opponent can only be claimed by one player per round
+    for (let r = 0; r < roundCount; r++) {
+      const claims = new Map();
+      parsed.forEach((tokens, index) => {
+        const { opponentId } = tokens[r];
+        if (opponentId === null || opponentId === index + 1) return;
+        if (!claims.has(opponentId)) claims.set(opponentId, []);
+        claims.get(opponentId).push(index);
+      });
+
+      for (const [opponentId, claimers] of claims) {
+        if (claimers.length < 2) continue;
+        const names = claimers.map(playerLabel).join(", ");
+        issues.push({
+          level: "error",
+          player: `#${opponentId}`,
+          round: r + 1,
+          message: `Listed as opponent by ${claimers.length} players in the same round (${names})`,
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  // ===== Round Count / Mark Detection (per imported group) =====
+  // Rows are name,rank,k,r1..rN,score, so the widest row gives the round count (null when too short)
+  function detectRoundCount(players) {
+    const width = Math.max(0, ...players.map((player) => player.length));
+    return width > 4 ? width - 4 : null;
+  }
+
+  // The mark per round (1 or 2) for which every total score matches its W/D/L results.
+  // Rows with plain "6" tokens or without a win / draw say nothing; null when unclear.
+  function detectMarkPerRound(players, roundCount) {
+    const marks = new Set();
+    for (const player of players) {
+      let units = 0; // points with a mark of 1
+      let checkable = true;
+      for (let i = 0; i < roundCount; i++) {
+        const { display, result, bye } = parseOpponentToken(player[3 + i]);
+        if (!display) continue;
+        if (bye) units += 1;
+        else if (result) units += resultPoints(result, 1);
+        else checkable = false;
+      }
+      const score = parseFloat(player[3 + roundCount]);
+      if (checkable && units > 0 && Number.isFinite(score)) marks.add(score / units);
+    }
+
+    const [mark] = marks;
+    return marks.size === 1 && (mark === 1 || mark === 2) ? mark : null;
+  }
+
+  // ===== Group Calculation & Sheet Layout =====
+  // options: {
+  //   groupName: string,
+  //   roundCount: number,
+  //   markPerRound: number,
+  //   rules?: rules profile (DEFAULT_RULES_PROFILE when omitted),
+  //   kSource?: "bands" | "file",
+  //   language?: "zh" | "en" | "both" (sheet labels, see getSheetLabels),
+  // }
+  // Unrated players (rating empty or NR) have unrated: true, rank null, expected / change null and
+  // finalRank = their initial rating (null while they have too few games; provisional tells which).
+  function calculateGroup(players, options) {
+    const {
+      groupName,
+      roundCount,
+      markPerRound,
+      rules = DEFAULT_RULES_PROFILE,
+      kSource = "bands",
+      language = "zh",
+    } = options;
+    const labels = getSheetLabels(language);
+    const adjustedFinalFlags = []; // boolean per data row
+    const kMismatchFlags = []; // boolean per data row: file K differs from the K bands
+    const achievementFlags = []; // boolean per data row: met at least one achievement threshold
+    const unratedFlags = []; // boolean per data row: no rating before the event (NR)
+    const hasAchievements = (rules.achievements || []).length > 0;
+    const results = []; // one plain object per player, for scripts that do not need the sheet
+
+    // Rating of every player, null when unrated
+    const ratings = players.map((player) => (isUnratedRating(player[1]) ? null : parseInt(player[1], 10)));
+    const hasUnrated = ratings.includes(null);
+    const hasUnplayed = hasUnplayedRounds(players, roundCount);
+    const hasRatedScore = hasUnplayed || hasUnrated; // adds the 实赛得分 column
+
+    // Calculate opponent average over the games actually played (ignore W/D/L, use only opponent id).
+    // opponentRating(index) gives the rating a game counts with, null leaves the game out of the
+    // calculation. Points from byes, forfeits and left out games are taken out of the score that is rated.
+    function countGames(player, opponentRating) {
+      let total = 0;
+      let games = 0;
+      let skippedPoints = 0;
+
+      for (let i = 0; i < roundCount; i++) {
+        const { opponentId, result, unplayed, bye } = parseOpponentToken(player[3 + i]);
+        if (unplayed) {
+          skippedPoints += bye ? markPerRound : resultPoints(result, markPerRound);
+          continue;
+        }
+
+        const opponentIndex = opponentId ? opponentId - 1 : -1;
+        if (opponentIndex < 0 || !players[opponentIndex]) continue;
+        const rating = opponentRating(opponentIndex);
+        if (rating === null) {
+          skippedPoints += resultPoints(result, markPerRound) || 0;
+          continue;
+        }
+        total += rating;
+        games++;
+      }
+
+      const score = parseFloat(player[3 + roundCount]);
+      const avgOpponent = games > 0 ? roundOpponentAverage(total / games, rules) : 0;
+      return { score, ratedScore: score - skippedPoints, avgOpponent, games, fullMark: markPerRound * games };
+    }
+
+    // Unrated players first: their performance against rated opponents only becomes their initial
+    // rating (raised to the floor), once they have played provisionalMinGames of those games
+    const initialRatings = players.map((player, index) => {
+      if (ratings[index] !== null) return null;
+      const { ratedScore, avgOpponent, games, fullMark } = countGames(player, (j) => ratings[j]);
+      if (games === 0 || games < rules.provisionalMinGames) return null;
+      return Math.max(rules.minFinalRank, getPerformanceRating(avgOpponent, ratedScore, fullMark, rules));
+    });
+
+    const opponentRating = (j) =>
+      ratings[j] !== null ? ratings[j] : rules.unratedOpponents === "initial" ? initialRatings[j] : null;
+
+    const updatedPlayers = players.map((player, index) => {
+      const name = player[0];
+      const rank = ratings[index];
+      const unrated = rank === null;
+      const fileK = parseInt(player[2], 10);
+      const finalRank = unrated ? initialRatings[index] : null;
+      const policyK = getPolicyK(unrated ? finalRank : rank, rules);
+      const k = kSource === "file" && Number.isFinite(fileK) ? fileK : policyK;
+      kMismatchFlags.push(!unrated && Number.isFinite(fileK) && fileK !== policyK);
+      unratedFlags.push(unrated);
+
+      // An unrated player's own games only count against rated opponents
+      const { score, ratedScore, avgOpponent, games, fullMark } = countGames(
+        player,
+        unrated ? (j) => ratings[j] : opponentRating
+      );
+      const performance = games > 0 ? getPerformanceRating(avgOpponent, ratedScore, fullMark, rules) : null;
+      const achievements = (rules.achievements || [])
+        .filter((a) => performance !== null && performance >= a.minPerformance && games >= a.minGames)
+        .map((a) => a.label);
+      achievementFlags.push(achievements.length > 0);
+
+      const result = {
+        id: index + 1,
+        name,
+        rank,
+        k,
+        score,
+        ratedScore,
+        avgOpponent,
+        games,
+        performance,
+        achievements,
+        kMismatch: kMismatchFlags[index],
+        unrated,
+      };
+      let cells;
+
+      if (unrated) {
+        // No expected score or change; the final rating is the initial rating (null: still unrated)
+        const adjusted = finalRank !== null && finalRank > performance;
+        adjustedFinalFlags.push(adjusted);
+        Object.assign(result, { expected: null, change: null, finalRank, adjusted, provisional: finalRank !== null });
+        cells = [avgOpponent, "", "", finalRank === null ? UNRATED : finalRank];
+      } else {
+        const expected = Number(getExpectedScore(rank, avgOpponent, fullMark, rules)).toFixed(rules.expectedDecimals);
+        const change = games > 0 ? (ratedScore - parseFloat(expected)) * k : 0;
+
+        const rawFinalRank = Math.round(rank + change);
+
+        // ✅ NEW RULE: If final < floor (1550 by default), reset to the floor
+        const adjusted = rawFinalRank < rules.minFinalRank;
+        const ratedFinalRank = adjusted ? rules.minFinalRank : rawFinalRank;
+        adjustedFinalFlags.push(adjusted);
+
+        Object.assign(result, {
+          expected: parseFloat(expected),
+          change: parseFloat(change.toFixed(1)),
+          finalRank: ratedFinalRank,
+          adjusted,
+          provisional: false,
+        });
+        cells = [avgOpponent, expected, change.toFixed(1), ratedFinalRank];
+      }
+      results.push(result);
+
+      return [
+        index + 1,
+        name,
+        unrated ? UNRATED : rank,
+        k,
+        ...player.slice(3, 3 + roundCount), // keep W/D/L token for display
+        score,
+        ...(hasRatedScore ? [ratedScore] : []),
+        ...cells,
+        performance === null ? "" : performance,
+        ...(hasAchievements ? [achievements.join(", ")] : []),
+      ];
+    });
+
+    // Layout indices (0-based)
+    const extraScoreCols = hasRatedScore ? 1 : 0;
+    const totalCols = 10 + roundCount + extraScoreCols + (hasAchievements ? 1 : 0);
+    const headerRowIndex = Math.max(8, rules.kBands.length + 4); // room for title + K table
+
+    const legendRowIndex = headerRowIndex - 2;
+    const groupRowIndex = headerRowIndex - 1;
+
+    const dataStartRowIndex = headerRowIndex + 1;
+    const dataRowCount = updatedPlayers.length;
+
+    const kCol = 3;
+    const roundsStartCol = 4;
+    const ratedScoreCol = hasRatedScore ? 5 + roundCount : -1; // 实赛得分 (only with unplayed rounds or NR players)
+    const avgOppCol = 5 + roundCount + extraScoreCols;     // 平均对手等级分
+    const expectedCol = 6 + roundCount + extraScoreCols;   // 期望分
+    const changeCol = 7 + roundCount + extraScoreCols;     // 变化
+    const finalCol = 8 + roundCount + extraScoreCols;      // 最终等级分
+    const performanceCol = 9 + roundCount + extraScoreCols; // 表现分
+    const achievementCol = hasAchievements ? 10 + roundCount + extraScoreCols : -1; // 达标 (only with thresholds)
+    // Unplayed legend next to W/D/L, unless the K table is already there (1 round)
+    const unplayedLegendCol = hasUnplayed && roundsStartCol + 3 < avgOppCol ? roundsStartCol + 3 : -1;
+
+    // K-table has one row per band plus its header, last row aligns with legendRowIndex
+    const kTableStartRow = legendRowIndex - rules.kBands.length;
+
+    // Build sheet array with empty rows up to the end of data
+    const wsData = [];
+    const totalRows = dataStartRowIndex + dataRowCount;
+    for (let r = 0; r < totalRows; r++) {
+      wsData.push(Array.from({ length: totalCols }, () => ""));
+    }
+
+    // Title row
+    const sheetTitle = labels.sheetTitle(groupName);
+    wsData[0][0] = sheetTitle;
+
+    // Which rules profile produced this sheet
+    const rulesLabel = labels.rulesLabel(rules.name, rules.version, roundCount, markPerRound);
+    wsData[1][0] = rulesLabel;
+
+    // Legend row (2 rows before header)
+    wsData[legendRowIndex][roundsStartCol] = "W=WIN";
+    wsData[legendRowIndex][roundsStartCol + 1] = "D=DRAW";
+    wsData[legendRowIndex][roundsStartCol + 2] = "L=LOSE";
+    if (unplayedLegendCol >= 0) wsData[legendRowIndex][unplayedLegendCol] = labels.unplayedLegend;
+
+    // Group name row (between legend and header)
+    wsData[groupRowIndex][roundsStartCol + 1] = groupName;
+
+    // K-table above 平均对手等级分 & 期望分
+    wsData[kTableStartRow][avgOppCol] = labels.kTableRating;
+    wsData[kTableStartRow][expectedCol] = labels.kTableK;
+
+    getKBandLabels(rules, language).forEach((label, i) => {
+      wsData[kTableStartRow + 1 + i][avgOppCol] = label;
+      wsData[kTableStartRow + 1 + i][expectedCol] = rules.kBands[i].k;
+    });
+
+    // K legend (left of the W/D/L legend), only when some row's K disagrees with the table
+    if (kMismatchFlags.some(Boolean)) {
+      wsData[legendRowIndex][kCol] = labels.kMismatchLegend;
+    }
+
+    // Unrated legend (next to the K legend) and how their initial rating was found, under the rules line
+    const provisionalNoteRowIndex = hasUnrated ? 2 : -1;
+    if (hasUnrated) {
+      wsData[legendRowIndex][kCol - 1] = labels.provisionalLegend;
+      wsData[provisionalNoteRowIndex][0] = labels.provisionalNote(rules.provisionalMinGames, rules.unratedOpponents);
+    }
+
+    // Header row (ONLY 等级分 column colored; others no fill)
+    wsData[headerRowIndex] = [
+      labels.id,
+      labels.player,
+      labels.rating,
+      labels.k,
+      ...Array.from({ length: roundCount }, (_, i) => labels.round(i + 1)),
+      labels.score,
+      ...(hasRatedScore ? [labels.ratedScore] : []),
+      labels.avgOpponent,
+      labels.expected,
+      labels.change,
+      labels.finalRating,
+      labels.performance,
+      ...(hasAchievements ? [labels.achieved] : []),
+    ];
+
+    // Data rows
+    for (let i = 0; i < updatedPlayers.length; i++) {
+      wsData[dataStartRowIndex + i] = updatedPlayers[i];
+    }
+
+    // Update text lines: name, oldRank, newRank (use adjusted final); players still unrated have none
+    const groupUpdateLines = updatedPlayers
+      .filter((row) => row[finalCol] !== UNRATED)
+      .map((row) => {
+        const name = row[1];
+        const oldRank = row[2];
+        const newRank = row[finalCol];
+        return `${name},${oldRank},${newRank}`;
+      });
+
+    return {
+      results,
+      wsData,
+      meta: {
+        sheetTitle,
+        rulesLabel,
+        groupName,
+        roundCount,
+        totalCols,
+        headerRowIndex,
+        legendRowIndex,
+        groupRowIndex,
+        dataStartRowIndex,
+        dataRowCount,
+        avgOppCol,
+        expectedCol,
+        roundsStartCol,
+        changeCol,
+        ratedScoreCol,
+        unplayedLegendCol,
+        finalCol,
+        performanceCol,
+        achievementCol,
+        kTableStartRow,
+        kCol,
+        provisionalNoteRowIndex,
+        adjustedFinalFlags,
+        kMismatchFlags,
+        achievementFlags,
+        unratedFlags,
+      },
+      groupUpdateLines,
+    };
+  }
+
+  function roundOpponentAverage(value, rules = DEFAULT_RULES_PROFILE) {
+    if (rules.opponentAvgRounding === "round") return Math.round(value);
+    if (rules.opponentAvgRounding === "floor") return Math.floor(value);
+    return Math.ceil(value);
+  }
+
+  // ===== Expected Score (existing logic, table comes from the rules profile) =====
+  // fullMark = points available over the games played (markPerRound * roundCount)
+  function getExpectedScore(playerMark, oppMark, fullMark, rules = DEFAULT_RULES_PROFILE) {
+    const diff = playerMark - oppMark;
+    const absDiff = Math.abs(diff);
+
+    for (const [min, max, ahead, behind] of rules.expectedTable) {
+      if (absDiff >= min && absDiff <= max) return fullMark * (diff >= 0 ? ahead : behind);
+    }
+
+    return diff >= 0 ? Number(fullMark).toFixed(1) : 0;
+  }
+
+  // ===== Performance Rating (expected score table read backwards) =====
+  // The rating at which the expected score against avgOpponent equals the actual score:
+  // the smallest difference whose table entry reaches score / fullMark. Beyond the last line of
+  // the table (all won / all lost) the difference is one more than the table covers.
+  // Returns null when no points were available.
+  function getPerformanceRating(avgOpponent, score, fullMark, rules = DEFAULT_RULES_PROFILE) {
+    if (!(fullMark > 0) || !Number.isFinite(score)) return null;
+
+    const fraction = score / fullMark;
+    const table = rules.expectedTable;
+    const beyond = table[table.length - 1][1] + 1;
+
+    if (fraction >= 0.5) {
+      const row = table.find(([, , ahead]) => ahead >= fraction - 1e-9);
+      return avgOpponent + (row ? row[0] : beyond);
+    }
+    const row = table.find(([, , , behind]) => behind <= fraction + 1e-9);
+    return avgOpponent - (row ? row[0] : beyond);
+  }
+
+  // ===== Standings & Tiebreaks =====
+  // Every tiebreak is computed from the opponent tokens and the total score column.
+  const TIEBREAKS = [
+    { id: "buchholz", label: "Buchholz", header: "对手分" },
+    { id: "medianBuchholz", label: "Median Buchholz", header: "中间对手分" },
+    { id: "sonnebornBerger", label: "Sonneborn-Berger", header: "索伯分" },
+    { id: "directEncounter", label: "Direct encounter", header: "直胜" },
+    { id: "wins", label: "Number of wins", header: "胜局数" },
+    { id: "performance", label: "Performance rating", header: "表现分" },
+  ];
+
+  // results: from calculateGroup (same players, same order)
+  // options: { groupName, roundCount, markPerRound, tiebreaks: [tiebreak id, in order], language? }
+  // Players are ranked by total score, then by each tiebreak (higher first); players equal on all
+  // of them share a place. Direct encounter counts the points scored against players with the
+  // same total score. Median Buchholz drops the best and the worst opponent (3+ opponents).
+  // Returns { standings: [{ place, id, name, rank, score, finalRank, tiebreaks: { id: value } }], wsData, meta }
+  function calculateStandings(players, results, options) {
+    const { groupName, roundCount, markPerRound, language = "zh" } = options;
+    const labels = getSheetLabels(language);
+    const tiebreaks = (options.tiebreaks || [])
+      .map((id) => TIEBREAKS.find((t) => t.id === id))
+      .filter(Boolean);
+    const scores = results.map((r) => (Number.isFinite(r.score) ? r.score : 0));
+
+    // Played games per player: [{ opponentIndex, points (null without W/D/L) }]
+    const games = players.map((player, index) => {
+      const list = [];
+      for (let i = 0; i < roundCount; i++) {
+        const { opponentId, result } = parseOpponentToken(player[3 + i]);
+        const opponentIndex = opponentId ? opponentId - 1 : -1;
+        if (opponentIndex < 0 || opponentIndex === index || !players[opponentIndex]) continue;
+        list.push({ opponentIndex, result, points: resultPoints(result, markPerRound) });
+      }
+      return list;
+    });
+
+    const sum = (values) => values.reduce((total, v) => total + v, 0);
+    const compute = {
+      buchholz: (index) => sum(games[index].map((g) => scores[g.opponentIndex])),
+      medianBuchholz: (index) => {
+        const opp = games[index].map((g) => scores[g.opponentIndex]).sort((a, b) => a - b);
+        return sum(opp.length >= 3 ? opp.slice(1, -1) : opp);
+      },
+      sonnebornBerger: (index) =>
+        sum(games[index].map((g) => (g.points === null ? 0 : (scores[g.opponentIndex] * g.points) / markPerRound))),
+      directEncounter: (index) =>
+        sum(games[index]
+          .filter((g) => g.points !== null && scores[g.opponentIndex] === scores[index])
+          .map((g) => g.points)),
+      wins: (index) => games[index].filter((g) => g.result === "W").length,
+      performance: (index) => results[index].performance,
+    };
+
+    const rows = results.map((r, index) => ({
+      id: r.id,
+      name: r.name,
+      rank: r.rank,
+      score: r.score,
+      finalRank: r.finalRank,
+      tiebreaks: Object.fromEntries(tiebreaks.map((t) => [t.id, compute[t.id](index)])),
+    }));
+
+    // A missing value (no performance without games) sorts last
+    const keys = (row) => [
+      scores[row.id - 1],
+      ...tiebreaks.map((t) => (row.tiebreaks[t.id] === null ? -Infinity : row.tiebreaks[t.id])),
+    ];
+    const compare = (a, b) => {
+      const ka = keys(a);
+      const kb = keys(b);
+      for (let i = 0; i < ka.length; i++) {
+        if (Math.abs(ka[i] - kb[i]) > 1e-9) return kb[i] - ka[i];
+      }
+      return 0;
+    };
+
+    const standings = rows.slice().sort((a, b) => compare(a, b) || a.id - b.id);
+    standings.forEach((row, i) => {
+      row.place = i > 0 && compare(standings[i - 1], row) === 0 ? standings[i - 1].place : i + 1;
+    });
+
+    // Sheet layout: title, tiebreak order, empty row, header, data
+    const headerRowIndex = 3;
+    const dataStartRowIndex = headerRowIndex + 1;
+    const header = [
+      labels.place,
+      labels.id,
+      labels.player,
+      labels.rating,
+      labels.score,
+      ...tiebreaks.map((t) => labels.tiebreak(t)),
+      labels.finalRating,
+    ];
+    const totalCols = header.length;
+    const sheetTitle = labels.standingsTitle(groupName);
+    const tiebreakLabel = tiebreaks.length
+      ? labels.tiebreakOrder(tiebreaks)
+      : labels.tiebreakNone;
+
+    const wsData = [
+      [sheetTitle, ...Array(totalCols - 1).fill("")],
+      [tiebreakLabel, ...Array(totalCols - 1).fill("")],
+      Array(totalCols).fill(""),
+      header,
+      ...standings.map((row) => [
+        row.place,
+        row.id,
+        row.name,
+        row.rank === null ? UNRATED : row.rank,
+        row.score,
+        ...tiebreaks.map((t) => formatTiebreak(row.tiebreaks[t.id])),
+        row.finalRank === null ? UNRATED : row.finalRank,
+      ]),
+    ];
+
+    return {
+      standings,
+      wsData,
+      meta: {
+        sheetTitle,
+        tiebreakLabel,
+        totalCols,
+        headerRowIndex,
+        dataStartRowIndex,
+        dataRowCount: standings.length,
+        tiebreakStartCol: 5,
+        tiebreakCount: tiebreaks.length,
+      },
+    };
+  }
+
+  // Scores can be halves (mark 1), Sonneborn-Berger quarters; keep whole numbers as they are
+  function formatTiebreak(value) {
+    if (value === null || value === undefined) return "";
+    return Number.isInteger(value) ? value : parseFloat(value.toFixed(2));
+  }
+
+  return {
+    MIN_FINAL_RANK,
+    UNRATED,
+    K_BANDS,
+    EXPECTED_SCORE_TABLE,
+    DEFAULT_RULES_PROFILE,
+    normalizeRulesProfile,
+    SHEET_LANGUAGES,
+    getSheetLabels,
+    sanitizeSheetName,
+    makeUniqueSheetName,
+    isUnratedRating,
+    getPlayerRowProblem,
+    isValidPlayerRow,
+    parseDelimitedText,
+    parsePlayerRows,
+    parsePlayersFromText,
+    formatPlayersAsText,
+    parseOpponentToken,
+    hasUnplayedRounds,
+    resultPoints,
+    validateGroup,
+    detectRoundCount,
+    detectMarkPerRound,
+    getPolicyK,
+    getKBandLabels,
+    getExpectedScore,
+    getPerformanceRating,
+    roundOpponentAverage,
+    calculateGroup,
+    TIEBREAKS,
+    calculateStandings,
+  };
+});
@@ -0,0 +1,991 @@
+// Rating Workbook (xlsx-js-style, no DOM)
+// - Turns imported groups into ONE styled workbook (one sheet per group, optionally followed
+//   by a standings sheet ranked by score + tiebreaks)
+// - With achievement thresholds in the rules profile, a last "达标名单" sheet lists every
+//   player who met one
+// - A first "汇总" sheet gives per-group statistics, the biggest movers and all players by final rating
+// - Optionally writes the result columns as live Excel formulas, so results fixed in Excel recalculate
+//   (writeRatingWorkbook adds their conditional highlighting, which xlsx-js-style cannot write)
+// - Also returns the "name,oldRank,newRank" lines for the update .txt
+// - Chains several events of one rating period: each event starts from the previous event's
+//   final ratings (one workbook per event, one combined update file with the net change)
+// - Used by the calculator page (app.js) and the command line (rateCli.js)
+//
+// The XLSX library is passed in by the caller: window.XLSX in the browser,
+// require("xlsx-js-style") in Node.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./ratingCore.js"), require("./nameMatching.js"));
+  } else {
+    root.RatingWorkbook = factory(root.RatingCore, root.NameMatching);
+  }
+})(typeof self !== "undefined" ? self : this, function (RatingCore, NameMatching) {
+  "use strict";
+
+  const {
+    makeUniqueSheetName,
+    validateGroup,
+    calculateGroup,
+    calculateStandings,
+    parseOpponentToken,
+    getSheetLabels,
+    UNRATED,
+  } = RatingCore;
+  const { normalizeName } = NameMatching;
+
+  // groups:   [{ sheetBase: string, players: string[][], roundCount?, markPerRound? }]
+  // settings: { roundCount, markPerRound, rules, kSource, standings?, language? }
+  // A group's own roundCount / markPerRound win over the ones in settings (see groupSettings).
+  // Returns [{ groupName, issues }] (see validateGroup), empty groups are skipped
+  function validateGroups(groups, settings) {
+    return groups
+      .filter((group) => group.players && group.players.length > 0)
+      .map((group) => {
+        const { roundCount, markPerRound } = groupSettings(group, settings);
+        return { groupName: group.sheetBase, issues: validateGroup(group.players, roundCount, markPerRound) };
+      });
+  }
+
+  // Settings for one group: its own round count and mark, everything else shared
+  function groupSettings(group, settings) {
+    return {
+      ...settings,
+      roundCount: group.roundCount || settings.roundCount,
+      markPerRound: group.markPerRound || settings.markPerRound,
+    };
+  }
+
+  function hasValidationErrors(report) {
+    return report.some((g) => g.issues.some((x) => x.level === "error"));
+  }
+
+  // Same arguments as validateGroups; settings.standings = { tiebreaks: [id] } adds a standings
+  // sheet after every group sheet (see calculateStandings); settings.language ("zh" | "en" | "both")
+  // sets the labels of every sheet (see getSheetLabels); settings.formulas writes live formulas
+  // (see applyGroupFormulas; write the workbook with writeRatingWorkbook then).
+  // Returns { workbook, updateLines, groupResults: [{ groupName, sheetName, results, standingsSheetName?, standings? }],
+  //   noFormulaGroups: [groupName] (settings.formulas only: groups whose results stay plain values) }
+  function buildRatingWorkbook(XLSX, groups, settings) {
+    const { rules, kSource, standings, language = "zh", formulas = false } = settings;
+    const labels = getSheetLabels(language);
+
+    const workbook = XLSX.utils.book_new();
+    const usedSheetNames = new Set();
+    const updateLines = [];
+    const groupResults = [];
+    const noFormulaGroups = [];
+
+    // Reserved first so a group called "汇总" gets "汇总_2"
+    const summarySheetName = makeUniqueSheetName(labels.summarySheet, usedSheetNames);
+    const expectedTableSheetName = formulas ? makeUniqueSheetName(labels.expectedTableSheet, usedSheetNames) : null;
+    // The expected score table holds the rounded scores up to the most points any group can give
+    const maxFullMark = Math.max(
+      0,
+      ...groups
+        .filter((group) => group.players && group.players.length > 0)
+        .map((group) => {
+          const { roundCount, markPerRound } = groupSettings(group, settings);
+          return roundCount * markPerRound;
+        })
+    );
+
+    for (const group of groups) {
+      if (!group.players || group.players.length === 0) continue;
+
+      const { roundCount, markPerRound } = groupSettings(group, settings);
+      const { results, wsData, meta, groupUpdateLines } = calculateGroup(group.players, {
+        groupName: group.sheetBase,
+        roundCount,
+        markPerRound,
+        rules,
+        kSource,
+        language,
+      });
+      updateLines.push(...groupUpdateLines);
+
+      const worksheet = XLSX.utils.aoa_to_sheet(wsData);
+
+      applySheetFormatting(XLSX, worksheet, {
+        sheetTitle: meta.sheetTitle,
+        rulesLabel: meta.rulesLabel,
+        groupName: meta.groupName,
+        roundCount: meta.roundCount,
+        totalCols: meta.totalCols,
+        headerRowIndex: meta.headerRowIndex,
+        dataStartRowIndex: meta.dataStartRowIndex,
+        dataRowCount: meta.dataRowCount,
+        avgOppCol: meta.avgOppCol,
+        expectedCol: meta.expectedCol,
+        roundsStartCol: meta.roundsStartCol,
+        changeCol: meta.changeCol,
+        ratedScoreCol: meta.ratedScoreCol,
+        unplayedLegendCol: meta.unplayedLegendCol,
+        finalCol: meta.finalCol,
+        achievementCol: meta.achievementCol,
+        legendRowIndex: meta.legendRowIndex,
+        groupRowIndex: meta.groupRowIndex,
+        kTableStartRow: meta.kTableStartRow,
+        kCol: meta.kCol,
+        provisionalNoteRowIndex: meta.provisionalNoteRowIndex,
+        adjustedFinalFlags: meta.adjustedFinalFlags,
+        kMismatchFlags: meta.kMismatchFlags,
+        achievementFlags: meta.achievementFlags,
+        unratedFlags: meta.unratedFlags,
+      });
+      // Initial ratings come from the performance, which has no formula: groups with unrated
+      // players keep their values
+      if (formulas && !meta.unratedFlags.some(Boolean)) {
+        applyGroupFormulas(XLSX, worksheet, meta, {
+          results,
+          rules,
+          markPerRound,
+          expectedTableRange: expectedTableRange(XLSX, expectedTableSheetName, rules, maxFullMark),
+          gamesHeader: labels.games,
+        });
+      } else if (formulas) {
+        noFormulaGroups.push(group.sheetBase);
+      }
+
+      const sheetName = makeUniqueSheetName(group.sheetBase, usedSheetNames);
+      XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+
+      const groupResult = { groupName: group.sheetBase, sheetName, results };
+      if (standings) {
+        const built = calculateStandings(group.players, results, {
+          groupName: group.sheetBase,
+          roundCount,
+          markPerRound,
+          tiebreaks: standings.tiebreaks,
+          language,
+        });
+        const standingsSheet = XLSX.utils.aoa_to_sheet(built.wsData);
+        applyStandingsFormatting(XLSX, standingsSheet, built.meta);
+        const suffix = labels.standingsSheet;
+        groupResult.standingsSheetName = makeUniqueSheetName(
+          `${group.sheetBase.slice(0, 30 - suffix.length)} ${suffix}`,
+          usedSheetNames
+        );
+        groupResult.standings = built.standings;
+        XLSX.utils.book_append_sheet(workbook, standingsSheet, groupResult.standingsSheetName);
+      }
+      groupResults.push(groupResult);
+    }
+
+    // Everyone who met an achievement threshold, across all groups
+    if ((rules.achievements || []).length > 0 && groupResults.length > 0) {
+      const sheetName = makeUniqueSheetName(labels.achievementSheet, usedSheetNames);
+      XLSX.utils.book_append_sheet(workbook, buildAchievementSheet(XLSX, groupResults, rules, labels), sheetName);
+    }
+
+    // Overview of all groups, as the first sheet
+    if (groupResults.length > 0) {
+      const notes = noFormulaGroups.length > 0 ? [labels.noFormulas(noFormulaGroups)] : [];
+      XLSX.utils.book_append_sheet(workbook, buildSummarySheet(XLSX, groupResults, labels, notes), summarySheetName);
+      workbook.SheetNames.unshift(workbook.SheetNames.pop());
+    }
+
+    // The expected score table the formulas look up, last and hidden
+    if (formulas && groupResults.length > 0) {
+      XLSX.utils.book_append_sheet(workbook, buildExpectedTableSheet(XLSX, rules, labels, maxFullMark), expectedTableSheetName);
+      workbook.Workbook = {
+        Sheets: workbook.SheetNames.map((name) => ({ name, Hidden: name === expectedTableSheetName ? 1 : 0 })),
+      };
+    }
+
+    return { workbook, updateLines, groupResults, noFormulaGroups };
+  }
+
+  // ===== Summary Sheet (first sheet of the workbook) =====
+  // Per-group statistics, the biggest gains / losses over all groups and every player by final
+  // rating; group names link to their sheet. Unrated players have no change and leave the
+  // average rating alone. notes: extra lines under the counts (e.g. groups without formulas).
+  const SUMMARY_TOP_COUNT = 5;
+  const SUMMARY_COLS = 6;
+
+  function buildSummarySheet(XLSX, groupResults, labels, notes = []) {
+    const players = groupResults.flatMap(({ groupName, sheetName, results }) =>
+      results.map((r) => ({ ...r, groupName, sheetName, delta: r.unrated ? null : r.finalRank - r.rank }))
+    );
+    const ratingText = (rating) => (rating === null ? UNRATED : rating);
+
+    // rows: [{ cells, kind: "title" | "note" | "section" | "header" | "data", sheetName?, deltaCol? }]
+    const rows = [];
+    const add = (kind, cells, extra) => rows.push({ kind, cells, ...extra });
+    const blank = () => add("blank", []);
+
+    add("title", [labels.summarySheet]);
+    add("note", [labels.summaryNote(groupResults.length, players.length)]);
+    for (const note of notes) add("note", [note]);
+    blank();
+
+    add("section", [labels.groupStats]);
+    add("header", [labels.group, labels.playerCount, labels.averageRating, labels.totalChange, labels.floorAdjusted]);
+    for (const { groupName, sheetName, results } of groupResults) {
+      const rated = results.filter((r) => !r.unrated);
+      const average = rated.length > 0 ? Math.round(rated.reduce((sum, r) => sum + r.rank, 0) / rated.length) : "";
+      const total = rated.reduce((sum, r) => sum + (r.finalRank - r.rank), 0);
+      add("data", [groupName, results.length, average, total, results.filter((r) => r.adjusted).length], {
+        sheetName,
+        linkCol: 0,
+        deltaCol: 3,
+      });
+    }
+    blank();
+
+    const byDelta = players.filter((p) => p.delta !== null).sort((a, b) => b.delta - a.delta);
+    const moverHeader = [labels.player, labels.group, labels.oldRating, labels.change, labels.finalRating];
+    const moverRow = (p) =>
+      add("data", [p.name, p.groupName, p.rank, p.delta, p.finalRank], { sheetName: p.sheetName, linkCol: 1, deltaCol: 3 });
+
+    add("section", [labels.topGains(SUMMARY_TOP_COUNT)]);
+    add("header", moverHeader);
+    byDelta.filter((p) => p.delta > 0).slice(0, SUMMARY_TOP_COUNT).forEach(moverRow);
+    blank();
+
+    add("section", [labels.topLosses(SUMMARY_TOP_COUNT)]);
+    add("header", moverHeader);
+    byDelta.filter((p) => p.delta < 0).reverse().slice(0, SUMMARY_TOP_COUNT).forEach(moverRow);
+    blank();
+
+    add("section", [labels.allPlayers]);
+    add("header", [labels.place, labels.player, labels.group, labels.oldRating, labels.finalRating, labels.change]);
+    players
+      .slice()
+      .sort((a, b) => (b.finalRank === null ? -Infinity : b.finalRank) - (a.finalRank === null ? -Infinity : a.finalRank) ||
+        a.name.localeCompare(b.name))
+      .forEach((p, i) =>
+        add("data", [i + 1, p.name, p.groupName, ratingText(p.rank), ratingText(p.finalRank), p.delta === null ? "" : p.delta], {
+          sheetName: p.sheetName,
+          linkCol: 2,
+          deltaCol: 5,
+        })
+      );
+
+    const wsData = rows.map((row) => Array.from({ length: SUMMARY_COLS }, (_, c) => (row.cells[c] === undefined ? "" : row.cells[c])));
+    const ws = XLSX.utils.aoa_to_sheet(wsData);
+
+    const sectionStyle = { font: { name: "Calibri", sz: 12, bold: true }, alignment: { vertical: "center", horizontal: "left" } };
+    const linkFont = { name: "Calibri", sz: 11, color: { rgb: "0563C1" }, underline: true };
+
+    ws["!cols"] = [{ wch: 12 }, { wch: 12 }, { wch: 12 }, { wch: 16 }, { wch: 14 }, { wch: 8 }];
+    ws["!rows"] = [{ hpt: 24 }];
+    // Title and notes span the table
+    ws["!merges"] = rows
+      .map((row, r) => (row.kind === "title" || row.kind === "note" ? { s: { r, c: 0 }, e: { r, c: SUMMARY_COLS - 1 } } : null))
+      .filter(Boolean);
+
+    rows.forEach((row, r) => {
+      const width = row.cells.length;
+      for (let c = 0; c < width; c++) {
+        const a = XLSX.utils.encode_cell({ r, c });
+        const cell = ws[a];
+        if (row.kind === "title") cell.s = titleStyle;
+        else if (row.kind === "note") {
+          cell.s = {
+            font: { name: "Calibri", sz: 9, italic: true, color: { rgb: "808080" } },
+            alignment: { vertical: "center", horizontal: "left" },
+          };
+        } else if (row.kind === "section") cell.s = sectionStyle;
+        else if (row.kind === "header") cell.s = headerStyle;
+        else {
+          cell.s = baseCell;
+          if (c === row.linkCol) {
+            cell.l = { Target: `#'${row.sheetName.replace(/'/g, "''")}'!A1`, Tooltip: row.sheetName };
+            cell.s = { ...baseCell, font: linkFont };
+          }
+          if (c === row.deltaCol && typeof cell.v === "number" && cell.v !== 0) {
+            cell.s = { ...baseCell, font: { color: { rgb: cell.v > 0 ? "008000" : "C00000" }, bold: true } };
+          }
+        }
+      }
+    });
+
+    return ws;
+  }
+
+  // ===== Achievement Summary Sheet =====
+  function buildAchievementSheet(XLSX, groupResults, rules, labels) {
+    const header = [
+      labels.group,
+      labels.id,
+      labels.player,
+      labels.rating,
+      labels.games,
+      labels.avgOpponent,
+      labels.score,
+      labels.performance,
+      labels.achieved,
+    ];
+    const thresholds = rules.achievements
+      .map((a) => labels.threshold(a.label, a.minPerformance, a.minGames))
+      .join("; ");
+    const rows = groupResults.flatMap(({ groupName, results }) =>
+      results
+        .filter((r) => r.achievements.length > 0)
+        .map((r) => [groupName, r.id, r.name, r.unrated ? UNRATED : r.rank, r.games, r.avgOpponent, r.score, r.performance, r.achievements.join(", ")])
+    );
+
+    const totalCols = header.length;
+    const wsData = [
+      [labels.achievementSheet, ...Array(totalCols - 1).fill("")],
+      [thresholds, ...Array(totalCols - 1).fill("")],
+      Array(totalCols).fill(""),
+      header,
+      ...(rows.length > 0 ? rows : [[labels.none, ...Array(totalCols - 1).fill("")]]),
+    ];
+    const ws = XLSX.utils.aoa_to_sheet(wsData);
+
+    ws["!cols"] = [{ wch: 12 }, { wch: 6 }, { wch: 12 }, { wch: 8 }, { wch: 8 }, { wch: 16 }, { wch: 8 }, { wch: 8 }, { wch: 16 }];
+    ws["!rows"] = [{ hpt: 24 }];
+    ws["!merges"] = [
+      { s: { r: 0, c: 0 }, e: { r: 0, c: totalCols - 1 } },
+      { s: { r: 1, c: 0 }, e: { r: 1, c: totalCols - 1 } },
+    ];
+    ws.A1.s = titleStyle;
+    ws.A2.s = {
+      font: { name: "Calibri", sz: 9, italic: true, color: { rgb: "808080" } },
+      alignment: { vertical: "center", horizontal: "left" },
+    };
+    for (let r = 3; r < wsData.length; r++) {
+      for (let c = 0; c < totalCols; c++) {
+        const a = XLSX.utils.encode_cell({ r, c });
+        if (!ws[a]) ws[a] = { t: "s", v: "" };
+        ws[a].s = r === 3 ? headerStyle : baseCell;
+      }
+    }
+    return ws;
+  }
+
+  // ===== Multi-Event Chaining =====
+  // Players are matched by registry id when the row is linked (group.playerLinks, see players.js),
+  // otherwise by normalized name
+  function playerKeys(group, rowIndex, name) {
+    const link = (group.playerLinks || [])[rowIndex];
+    const keys = [`name:${normalizeName(name)}`];
+    if (link && link.playerId) keys.unshift(`id:${link.playerId}`);
+    return keys;
+  }
+
+  // events: [{ name, groups }] in the order they were played, settings as for buildRatingWorkbook.
+  // A player's starting rating in an event is their final rating from the latest earlier event
+  // they played; otherwise the file rating is kept.
+  // Returns {
+  //   events: [{ name, groups (ratings carried over), carried: [{ groupName, name, fileRating, rating }],
+  //              workbook, updateLines, groupResults }],
+  //   updateLines: ["name,startRating,finalRating"]   (net change over all events)
+  // }
+  function buildChainedWorkbooks(XLSX, events, settings) {
+    const latest = new Map(); // player key -> final rating so far
+    const net = new Map(); // first player key -> { name, start, end }
+
+    const built = events.map((event) => {
+      const carried = [];
+      const groups = event.groups.map((group) => ({
+        ...group,
+        players: (group.players || []).map((player, rowIndex) => {
+          const key = playerKeys(group, rowIndex, player[0]).find((k) => latest.has(k));
+          if (!key || String(latest.get(key)) === String(player[1]).trim()) return player;
+          const rating = latest.get(key);
+          carried.push({ groupName: group.sheetBase, name: player[0], fileRating: player[1], rating });
+          return [player[0], String(rating), ...player.slice(2)];
+        }),
+      }));
+
+      const result = buildRatingWorkbook(XLSX, groups, settings);
+
+      // Ratings only move on after the whole event (a player in two groups starts both from the same rating).
+      // groupResults skips groups without players, in the same order
+      const calculated = groups.filter((g) => g.players && g.players.length > 0);
+      const finals = [];
+      result.groupResults.forEach(({ results }, groupIndex) => {
+        results.forEach((r, rowIndex) => {
+          const keys = playerKeys(calculated[groupIndex], rowIndex, r.name);
+          if (r.finalRank === null) return; // still unrated; with an initial rating the next event starts from it
+          finals.push([keys, r.finalRank]);
+          const netKey = keys.find((k) => net.has(k)) || keys[0];
+          const entry = net.get(netKey) || { name: r.name, start: r.unrated ? UNRATED : r.rank };
+          entry.end = r.finalRank;
+          net.set(netKey, entry);
+        });
+      });
+      for (const [keys, rating] of finals) keys.forEach((k) => latest.set(k, rating));
+
+      return { name: event.name, groups, carried, ...result };
+    });
+
+    const updateLines = [...net.values()].map((p) => `${p.name},${p.start},${p.end}`);
+    return { events: built, updateLines };
+  }
+
+  // ===== Excel Styling Helpers (xlsx-js-style) =====
+  // Round result colours of the W/D/L legend, also used by the event report (eventReport.js)
+  const LEGEND_COLORS = { W: "FFD966", D: "C6E0B4", L: "9DC3E6", unplayed: "D9D2E9" };
+
+  // Shared by the group sheets and the standings sheets
+  const thinBorder = {
+    top: { style: "thin", color: { rgb: "000000" } },
+    bottom: { style: "thin", color: { rgb: "000000" } },
+    left: { style: "thin", color: { rgb: "000000" } },
+    right: { style: "thin", color: { rgb: "000000" } },
+  };
+
+  const baseCell = {
+    font: { name: "Calibri", sz: 11 },
+    alignment: { vertical: "center", horizontal: "center", wrapText: true },
+    border: thinBorder,
+  };
+
+  const titleStyle = {
+    font: { name: "Calibri", sz: 18, bold: true },
+    alignment: { vertical: "center", horizontal: "left" },
+  };
+
+  const headerStyle = {
+    font: { name: "Calibri", sz: 11}, //, bold: true 
+    alignment: {
+      vertical: "center",
+      horizontal: "center",
+      wrapText: false,
+      shrinkToFit: true,
+    },
+    border: thinBorder,
+  };
+
+  function applySheetFormatting(XLSX, ws, opts) {
+    const {
+      sheetTitle,
+      rulesLabel,
+      groupName,
+      roundCount,
+      totalCols,
+      headerRowIndex,
+      dataStartRowIndex,
+      dataRowCount,
+      avgOppCol,
+      expectedCol,
+      roundsStartCol,
+      changeCol,
+      ratedScoreCol,
+      unplayedLegendCol,
+      finalCol,
+      achievementCol,
+      legendRowIndex,
+      groupRowIndex,
+      kTableStartRow,
+      kCol,
+      provisionalNoteRowIndex,
+      adjustedFinalFlags,
+      kMismatchFlags,
+      achievementFlags,
+      unratedFlags,
+    } = opts;
+
+    ws["!merges"] = ws["!merges"] || [];
+
+    // Column widths (keep your current widths)
+    const widths = [];
+    widths.push({ wch: 6 });   // 编号
+    widths.push({ wch: 12 });  // 棋手
+    widths.push({ wch: 8 });   // 等级分
+    widths.push({ wch: 6 });   // K值 (legend row may hold "K值与K表不符", wraps)
+    for (let i = 0; i < roundCount; i++) widths.push({ wch: 8 });
+    widths.push({ wch: 8 });   // 总得分
+    if (ratedScoreCol >= 0) widths.push({ wch: 8 }); // 实赛得分
+    widths.push({ wch: 16 });  // 平均对手等级分
+    widths.push({ wch: 8 });   // 期望分
+    widths.push({ wch: 8 });   // 变化
+    widths.push({ wch: 12 });  // 最终等级分 (slightly wider)
+    widths.push({ wch: 8 });   // 表现分
+    if (achievementCol >= 0) widths.push({ wch: 16 }); // 达标
+    ws["!cols"] = widths;
+
+    // Row heights (keep header same height as data rows)
+    ws["!rows"] = ws["!rows"] || [];
+    ws["!rows"][0] = { hpt: 24 }; // title row
+    ws["!rows"][headerRowIndex] = { hpt: 15 }; // header row normal height
+    for (let r = dataStartRowIndex; r < dataStartRowIndex + dataRowCount; r++) {
+      ws["!rows"][r] = { hpt: 15 };
+    }
+
+    // Only 等级分 header filled
+    const ratingHeaderFill = { patternType: "solid", fgColor: { rgb: "F4B183" } };
+
+    // Legend fills
+    const legendWFill = { patternType: "solid", fgColor: { rgb: LEGEND_COLORS.W } };
+    const legendDFill = { patternType: "solid", fgColor: { rgb: LEGEND_COLORS.D } };
+    const legendLFill = { patternType: "solid", fgColor: { rgb: LEGEND_COLORS.L } };
+    const unplayedFill = { patternType: "solid", fgColor: { rgb: LEGEND_COLORS.unplayed } }; // BYE, +6, -6, =6
+
+    // K table header fill
+    const kHeaderFill = { patternType: "solid", fgColor: { rgb: "D9D9D9" } };
+
+    // ✅ Yellow fill for adjusted final rank cells
+    const adjustedFinalFill = { patternType: "solid", fgColor: { rgb: "FFFF00" } };
+
+    // Orange fill for K cells where the file's K differs from the K table
+    const kMismatchFill = { patternType: "solid", fgColor: { rgb: "F8CBAD" } };
+
+    // Green fill for players who met an achievement threshold (name + 达标 cell)
+    const achievementFill = { patternType: "solid", fgColor: { rgb: "A9D08E" } };
+
+    // Blue fill for unrated players (等级分 NR + their provisional 最终等级分)
+    const provisionalFill = { patternType: "solid", fgColor: { rgb: "BDD7EE" } };
+
+    function addr(r, c) {
+      return XLSX.utils.encode_cell({ r, c });
+    }
+
+    function setCell(r, c, style) {
+      const a = addr(r, c);
+      if (!ws[a]) ws[a] = { t: "s", v: "" };
+      ws[a].s = { ...(ws[a].s || {}), ...style };
+    }
+
+    // Title row merge across full table width
+    ws["!merges"].push({
+      s: { r: 0, c: 0 },
+      e: { r: 0, c: totalCols - 1 },
+    });
+    setCell(0, 0, titleStyle);
+
+    // Rules profile note under the title
+    if (rulesLabel) {
+      ws["!merges"].push({
+        s: { r: 1, c: 0 },
+        e: { r: 1, c: Math.min(3, totalCols - 1) },
+      });
+      setCell(1, 0, {
+        font: { name: "Calibri", sz: 9, italic: true, color: { rgb: "808080" } },
+        alignment: { vertical: "center", horizontal: "left" },
+      });
+    }
+
+    // Legend row colors (2 rows before header)
+    setCell(legendRowIndex, roundsStartCol,     { ...baseCell, font: { bold: true }, fill: legendWFill });
+    setCell(legendRowIndex, roundsStartCol + 1, { ...baseCell, font: { bold: true }, fill: legendDFill });
+    setCell(legendRowIndex, roundsStartCol + 2, { ...baseCell, font: { bold: true }, fill: legendLFill });
+    if (unplayedLegendCol >= 0) {
+      setCell(legendRowIndex, unplayedLegendCol, { ...baseCell, font: { bold: true }, fill: unplayedFill });
+    }
+
+    // K mismatch legend (only written when at least one row is flagged)
+    const kLegendAddr = addr(legendRowIndex, kCol);
+    if (ws[kLegendAddr] && ws[kLegendAddr].v) {
+      setCell(legendRowIndex, kCol, { ...baseCell, font: { bold: true }, fill: kMismatchFill });
+    }
+
+    // Unrated legend + note (only written when the group has unrated players)
+    if (provisionalNoteRowIndex >= 0) {
+      setCell(legendRowIndex, kCol - 1, { ...baseCell, font: { bold: true }, fill: provisionalFill });
+      setCell(provisionalNoteRowIndex, 0, {
+        font: { name: "Calibri", sz: 9, italic: true, color: { rgb: "1F4E79" } },
+        alignment: { vertical: "center", horizontal: "left" },
+      });
+    }
+
+    // Group name between legend and header (merge across 3 cells)
+    ws["!merges"].push({
+      s: { r: groupRowIndex, c: roundsStartCol },
+      e: { r: groupRowIndex, c: roundsStartCol + 2 },
+    });
+
+    // Keep group row clean (no need borders), just centered bold text
+    setCell(groupRowIndex, roundsStartCol, {
+      font: { name: "Calibri", sz: 12, bold: true },
+      alignment: { vertical: "center", horizontal: "center" },
+    });
+
+    // K-table formatting (with borders), last row aligns with legend row
+    for (let r = kTableStartRow; r <= legendRowIndex; r++) {
+      for (let c = avgOppCol; c <= expectedCol; c++) {
+        const isHeader = r === kTableStartRow;
+        setCell(r, c, {
+          ...baseCell,
+          font: { name: "Calibri", sz: 11, bold: isHeader },
+          fill: isHeader ? kHeaderFill : undefined,
+        });
+      }
+    }
+
+    // Header row: ONLY 等级分 filled, all header cells bold + thin border
+    for (let c = 0; c < totalCols; c++) {
+      const style = { ...headerStyle };
+      if (c === 2) style.fill = ratingHeaderFill;
+      setCell(headerRowIndex, c, style);
+    }
+
+    // Data rows: thin borders, round colors, change font colors, final yellow if adjusted
+    for (let r = dataStartRowIndex; r < dataStartRowIndex + dataRowCount; r++) {
+      const dataIndex = r - dataStartRowIndex; // 0-based within data
+
+      for (let c = 0; c < totalCols; c++) {
+        setCell(r, c, baseCell);
+
+        // Round coloring by W/D/L
+        if (c >= roundsStartCol && c < roundsStartCol + roundCount) {
+          const a = addr(r, c);
+          const v = ws[a] ? String(ws[a].v || "").trim() : "";
+          const first = v ? v[0].toUpperCase() : "";
+          if (parseOpponentToken(v).unplayed) setCell(r, c, { ...baseCell, fill: unplayedFill });
+          else if (first === "W") setCell(r, c, { ...baseCell, fill: legendWFill });
+          else if (first === "D") setCell(r, c, { ...baseCell, fill: legendDFill });
+          else if (first === "L") setCell(r, c, { ...baseCell, fill: legendLFill });
+        }
+
+        // 变化 column: green positive, red negative
+        if (c === changeCol) {
+          const a = addr(r, c);
+          const num = ws[a] ? parseFloat(ws[a].v) : NaN;
+          if (!Number.isNaN(num)) {
+            if (num > 0) setCell(r, c, { ...baseCell, font: { color: { rgb: "008000" }, bold: true } });
+            else if (num < 0) setCell(r, c, { ...baseCell, font: { color: { rgb: "C00000" }, bold: true } });
+          }
+        }
+
+        // K column: orange if the file's K differs from the K table
+        if (c === kCol && kMismatchFlags && kMismatchFlags[dataIndex]) {
+          setCell(r, c, { ...baseCell, fill: kMismatchFill });
+        }
+
+        // Unrated players: 等级分 (NR) and the provisional initial rating
+        if ((c === 2 || c === finalCol) && unratedFlags && unratedFlags[dataIndex]) {
+          setCell(r, c, { ...baseCell, font: { italic: true }, fill: provisionalFill });
+        }
+
+        // ✅ Final rank column: fill yellow if adjusted to the rules floor (MIN_FINAL_RANK by default)
+        if (c === finalCol && adjustedFinalFlags && adjustedFinalFlags[dataIndex]) {
+          setCell(r, c, { ...baseCell, fill: adjustedFinalFill });
+        }
+
+        // Achievement thresholds met: player name + 达标 cell
+        if ((c === 1 || c === achievementCol) && achievementFlags && achievementFlags[dataIndex]) {
+          setCell(r, c, { ...baseCell, font: { bold: true }, fill: achievementFill });
+        }
+      }
+    }
+
+    // Ensure title and group text
+    const titleAddr = addr(0, 0);
+    if (ws[titleAddr]) ws[titleAddr].v = sheetTitle;
+
+    // Ensure group text
+    ws[addr(groupRowIndex, roundsStartCol)].v = groupName;
+  }
+
+  // ===== Live Formulas (settings.formulas) =====
+  // The result columns of a group sheet become Excel formulas over the round cells, so a result
+  // fixed in Excel recalculates: 实赛得分 (total minus unplayed points), 平均对手等级分 (the
+  // opponents' 等级分 looked up by 编号), 期望分 (looked up in the hidden expected score sheet, which
+  // holds every score already rounded the way calculateGroup rounds it),
+  // 变化 and 最终等级分 (raised to the rules floor). A hidden 对局数 column counts the games played.
+  // The calculated values stay in the cells as the cached results. The W/D/L round fills, the
+  // red/green 变化 and the yellow floor fill become conditional formats (ws["!conditionalFormats"],
+  // written by writeRatingWorkbook) so they follow a fixed result; 表现分, 达标 and the other fills
+  // are those of the export. Groups with unrated (NR) players are written without formulas.
+
+  const FORMULA_ROUNDING = { ceil: "ROUNDUP", round: "ROUND", floor: "ROUNDDOWN" };
+  // 0-based column of the first expected score (full mark 0, rated higher) in the table sheet
+  const EXPECTED_POINTS_COL = 4;
+
+  // Conditional format styles: the fills and fonts applySheetFormatting gives the same cells
+  const CONDITIONAL_STYLES = {
+    unplayed: { fill: LEGEND_COLORS.unplayed },
+    W: { fill: LEGEND_COLORS.W },
+    D: { fill: LEGEND_COLORS.D },
+    L: { fill: LEGEND_COLORS.L },
+    gain: { font: "008000" },
+    loss: { font: "C00000" },
+    floorAdjusted: { fill: "FFFF00" },
+  };
+
+  // Rows: [minDiff, maxDiff, expected when rated higher or equal, expected when rated lower], then
+  // for every full mark 0..maxFullMark the two expected scores as calculateGroup gives them
+  // (getExpectedScore rounded with toFixed), so the formulas need no ROUND of their own: Excel's
+  // ROUND would round 7 * 0.65 up to 4.6 where toFixed gives 4.5
+  function buildExpectedTableSheet(XLSX, rules, labels, maxFullMark) {
+    const fullMarks = Array.from({ length: maxFullMark + 1 }, (_, fullMark) => fullMark);
+    const rounded = (value) => parseFloat(Number(value).toFixed(rules.expectedDecimals));
+    const ws = XLSX.utils.aoa_to_sheet([
+      [
+        labels.diffFrom,
+        labels.diffTo,
+        labels.expectedAhead,
+        labels.expectedBehind,
+        ...fullMarks.flatMap((fullMark) => [labels.expectedAheadPoints(fullMark), labels.expectedBehindPoints(fullMark)]),
+      ],
+      ...rules.expectedTable.map((row) => [
+        ...row.slice(0, 4),
+        ...fullMarks.flatMap((fullMark) => [rounded(fullMark * row[2]), rounded(fullMark * row[3])]),
+      ]),
+    ]);
+    ws["!cols"] = [{ wch: 14 }, { wch: 14 }, { wch: 18 }, { wch: 18 }, ...fullMarks.flatMap(() => [{ wch: 24 }, { wch: 24 }])];
+    return ws;
+  }
+
+  function expectedTableRange(XLSX, sheetName, rules, maxFullMark) {
+    const lastCol = XLSX.utils.encode_col(EXPECTED_POINTS_COL + 2 * maxFullMark + 1);
+    return `'${sheetName.replace(/'/g, "''")}'!$A$2:$${lastCol}$${rules.expectedTable.length + 1}`;
+  }
+
+  // Opponent 编号 of a played round, "" for empty, BYE and forfeit (+6 / -6 / =6) cells
+  function playedOpponentFormula(cell) {
+    return (
+      `IF(OR(${cell}="",ISNUMBER(FIND(LEFT(${cell},1),"+-=")),UPPER(${cell})="BYE"),"",` +
+      `IFERROR(VALUE(IF(ISNUMBER(FIND(UPPER(LEFT(${cell},1)),"WDL")),MID(${cell},2,9),${cell})),""))`
+    );
+  }
+
+  // Points of an unplayed round (BYE and +6 a win, =6 a draw), 0 otherwise
+  function unplayedPointsFormula(cell, markPerRound) {
+    return (
+      `IF(UPPER(${cell})="BYE",${markPerRound},` +
+      `IF(LEFT(${cell},1)="+",${markPerRound},IF(LEFT(${cell},1)="=",${markPerRound / 2},0)))`
+    );
+  }
+
+  // meta and results: as returned by calculateGroup; the cells keep their values and styles, only the
+  // formula (and a number format) is added
+  function applyGroupFormulas(XLSX, ws, meta, { results, rules, markPerRound, expectedTableRange, gamesHeader }) {
+    const {
+      roundCount,
+      roundsStartCol,
+      headerRowIndex,
+      dataStartRowIndex,
+      dataRowCount,
+      ratedScoreCol,
+      avgOppCol,
+      expectedCol,
+      changeCol,
+      finalCol,
+      kCol,
+      totalCols,
+    } = meta;
+    if (dataRowCount === 0) return;
+
+    const col = (c) => XLSX.utils.encode_col(c);
+    const firstRow = dataStartRowIndex + 1; // 1-based, as in the formulas
+    const lastRow = dataStartRowIndex + dataRowCount;
+    const ids = `$A$${firstRow}:$A$${lastRow}`;
+    const ratings = `$${col(2)}$${firstRow}:$${col(2)}$${lastRow}`;
+    const rounding = FORMULA_ROUNDING[rules.opponentAvgRounding] || FORMULA_ROUNDING.ceil;
+    const expectedFormat = rules.expectedDecimals > 0 ? `0.${"0".repeat(rules.expectedDecimals)}` : "0";
+    const gamesCol = totalCols;
+
+    function setFormula(r, c, f, z) {
+      const a = XLSX.utils.encode_cell({ r, c });
+      const cell = ws[a] || (ws[a] = {});
+      const value = parseFloat(cell.v);
+      Object.assign(cell, { t: "n", v: Number.isFinite(value) ? value : 0, f }, z ? { z } : {});
+    }
+
+    // The static fills / fonts of these cells give way to the conditional formats
+    function dropStyle(r, c, key) {
+      const cell = ws[XLSX.utils.encode_cell({ r, c })];
+      if (!cell || !cell.s) return;
+      cell.s = { ...cell.s };
+      delete cell.s[key];
+    }
+
+    ws[XLSX.utils.encode_cell({ r: headerRowIndex, c: gamesCol })] = { t: "s", v: gamesHeader };
+
+    for (let r = dataStartRowIndex; r < dataStartRowIndex + dataRowCount; r++) {
+      const ref = (c) => `${col(c)}${r + 1}`;
+      const rounds = Array.from({ length: roundCount }, (_, i) => ref(roundsStartCol + i));
+      const opponentRow = (cell) => `MATCH(${playedOpponentFormula(cell)},${ids},0)`;
+      const scoreRef = ref(roundsStartCol + roundCount);
+      const ratedRef = ratedScoreCol >= 0 ? ref(ratedScoreCol) : scoreRef;
+      const gamesRef = ref(gamesCol);
+      const diff = `(${ref(2)}-${ref(avgOppCol)})`;
+      // Beyond the table the higher rated player is expected to score everything
+      const fullMark = `${markPerRound}*${gamesRef}`;
+      const beyondTable = `IF(${diff}>=0,${fullMark},0)`;
+      const pointsColumn = `${EXPECTED_POINTS_COL + 1}+2*${fullMark}+IF(${diff}>=0,0,1)`;
+      const expectedScore =
+        `IFERROR(IF(ABS(${diff})<=VLOOKUP(ABS(${diff}),${expectedTableRange},2,1),` +
+        `VLOOKUP(ABS(${diff}),${expectedTableRange},${pointsColumn},1),${beyondTable}),${beyondTable})`;
+
+      const games = rounds.map((cell) => `IF(ISNUMBER(${opponentRow(cell)}),1,0)`).join("+");
+      ws[XLSX.utils.encode_cell({ r, c: gamesCol })] = { t: "n", v: results[r - dataStartRowIndex].games, f: games };
+      if (ratedScoreCol >= 0) {
+        const unplayedPoints = rounds.map((cell) => unplayedPointsFormula(cell, markPerRound)).join("+");
+        setFormula(r, ratedScoreCol, `${scoreRef}-(${unplayedPoints})`);
+      }
+      const opponentTotal = rounds.map((cell) => `IFERROR(INDEX(${ratings},${opponentRow(cell)}),0)`).join("+");
+      setFormula(r, avgOppCol, `IF(${gamesRef}=0,0,${rounding}((${opponentTotal})/${gamesRef},0))`);
+      setFormula(r, expectedCol, expectedScore, expectedFormat);
+      setFormula(r, changeCol, `IF(${gamesRef}>0,(${ratedRef}-${ref(expectedCol)})*${ref(kCol)},0)`, "0.0");
+      setFormula(r, finalCol, `MAX(${rules.minFinalRank},ROUND(${ref(2)}+${ref(changeCol)},0))`);
+
+      rounds.forEach((_, i) => dropStyle(r, roundsStartCol + i, "fill"));
+      dropStyle(r, changeCol, "font");
+      dropStyle(r, finalCol, "fill");
+    }
+
+    // Rules are written for the top left cell of their range, Excel shifts them to the other cells
+    const first = (c) => `${col(c)}${firstRow}`;
+    const columnRange = (from, to) => `${col(from)}${firstRow}:${col(to)}${lastRow}`;
+    const round = first(roundsStartCol);
+    ws["!conditionalFormats"] = [
+      {
+        ref: columnRange(roundsStartCol, roundsStartCol + roundCount - 1),
+        rules: [
+          {
+            formula: `OR(UPPER(${round})="BYE",AND(${round}<>"",ISNUMBER(FIND(LEFT(${round},1),"+-="))))`,
+            style: "unplayed",
+          },
+          ...["W", "D", "L"].map((result) => ({ formula: `UPPER(LEFT(${round},1))="${result}"`, style: result })),
+        ],
+      },
+      {
+        ref: columnRange(changeCol, changeCol),
+        rules: [
+          { formula: `${first(changeCol)}>0`, style: "gain" },
+          { formula: `${first(changeCol)}<0`, style: "loss" },
+        ],
+      },
+      {
+        ref: columnRange(finalCol, finalCol),
+        rules: [{ formula: `ROUND($${col(2)}${firstRow}+${first(changeCol)},0)<${rules.minFinalRank}`, style: "floorAdjusted" }],
+      },
+    ];
+
+    // The 对局数 helper column is hidden and widens the sheet range
+    ws["!cols"] = ws["!cols"] || [];
+    ws["!cols"][gamesCol] = { hidden: true };
+    const range = XLSX.utils.decode_range(ws["!ref"]);
+    range.e.c = Math.max(range.e.c, gamesCol);
+    ws["!ref"] = XLSX.utils.encode_range(range);
+  }
+
+  // ===== Writing =====
+  // XLSX.write, plus the conditional formats of applyGroupFormulas (ws["!conditionalFormats"]:
+  // [{ ref, rules: [{ formula, style: CONDITIONAL_STYLES key }] }]). xlsx-js-style cannot write
+  // those, so they are added to the written zip like masterWorkbook.js edits a master workbook.
+  // Returns the .xlsx file as a Uint8Array.
+  function writeRatingWorkbook(XLSX, workbook) {
+    const data = new Uint8Array(XLSX.write(workbook, { type: "array", bookType: "xlsx" }));
+    const formatted = workbook.SheetNames
+      .map((name, index) => ({ index, formats: workbook.Sheets[name]["!conditionalFormats"] || [] }))
+      .filter(({ formats }) => formats.length > 0);
+    if (formatted.length === 0) return data;
+
+    const zip = XLSX.CFB.read(data, { type: "array" });
+    const readPart = (path) => new TextDecoder("utf-8").decode(XLSX.CFB.find(zip, `/${path}`).content);
+    const writePart = (path, xml) => {
+      const entry = XLSX.CFB.find(zip, `/${path}`);
+      entry.content = new TextEncoder().encode(xml);
+      entry.size = entry.content.length;
+    };
+
+    // One differential format (dxf) per style used, in first use order
+    const dxfIds = new Map();
+    const dxfId = (style) => {
+      if (!dxfIds.has(style)) dxfIds.set(style, dxfIds.size);
+      return dxfIds.get(style);
+    };
+
+    for (const { index, formats } of formatted) {
+      // SheetJS writes the sheets as sheet1.xml, sheet2.xml, ... in SheetNames order
+      const path = `xl/worksheets/sheet${index + 1}.xml`;
+      let priority = 1;
+      const xml = formats
+        .map(({ ref, rules }) =>
+          `<conditionalFormatting sqref="${ref}">` +
+          rules
+            .map(({ formula, style }) =>
+              `<cfRule type="expression" dxfId="${dxfId(style)}" priority="${priority++}">` +
+              `<formula>${escapeXml(formula)}</formula></cfRule>`)
+            .join("") +
+          "</conditionalFormatting>")
+        .join("");
+      // conditionalFormatting comes after sheetData / mergeCells and before hyperlinks, margins etc.
+      const sheet = readPart(path);
+      const before = sheet.search(
+        /<(dataValidations|hyperlinks|printOptions|pageMargins|pageSetup|headerFooter|drawing|legacyDrawing|ignoredErrors|tableParts|extLst)[\s>\/]|<\/worksheet>/
+      );
+      writePart(path, sheet.slice(0, before) + xml + sheet.slice(before));
+    }
+
+    const dxfs = [...dxfIds.keys()].map((style) => {
+      const { fill, font } = CONDITIONAL_STYLES[style];
+      if (font) return `<dxf><font><b/><color rgb="FF${font}"/></font></dxf>`;
+      return `<dxf><fill><patternFill patternType="solid"><fgColor rgb="FF${fill}"/><bgColor rgb="FF${fill}"/></patternFill></fill></dxf>`;
+    });
+    // SheetJS writes an empty <dxfs count="0"/> before the table styles
+    const dxfsXml = `<dxfs count="${dxfs.length}">${dxfs.join("")}</dxfs>`;
+    const styles = readPart("xl/styles.xml");
+    writePart(
+      "xl/styles.xml",
+      styles.includes('<dxfs count="0"/>')
+        ? styles.replace('<dxfs count="0"/>', dxfsXml)
+        : styles.replace(/<tableStyles|<\/styleSheet>/, (tag) => dxfsXml + tag)
+    );
+
+    return XLSX.CFB.write(zip, { fileType: "zip", type: "array" });
+  }
+
+  function escapeXml(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  }
+
+  // Standings sheet: title, tiebreak order, header + bordered data rows, places 1-3 highlighted
+  function applyStandingsFormatting(XLSX, ws, opts) {
+    const { sheetTitle, totalCols, headerRowIndex, dataStartRowIndex, dataRowCount, tiebreakStartCol, tiebreakCount } = opts;
+
+    const podiumFill = { patternType: "solid", fgColor: { rgb: "FFE699" } };
+    const tiebreakHeaderFill = { patternType: "solid", fgColor: { rgb: "D9D9D9" } };
+
+    function addr(r, c) {
+      return XLSX.utils.encode_cell({ r, c });
+    }
+
+    function setCell(r, c, style) {
+      const a = addr(r, c);
+      if (!ws[a]) ws[a] = { t: "s", v: "" };
+      ws[a].s = { ...(ws[a].s || {}), ...style };
+    }
+
+    const widths = [{ wch: 6 }, { wch: 6 }, { wch: 12 }, { wch: 8 }, { wch: 8 }];
+    for (let i = 0; i < tiebreakCount; i++) widths.push({ wch: 10 });
+    widths.push({ wch: 12 });
+    ws["!cols"] = widths;
+    ws["!rows"] = [{ hpt: 24 }];
+
+    ws["!merges"] = [
+      { s: { r: 0, c: 0 }, e: { r: 0, c: totalCols - 1 } },
+      { s: { r: 1, c: 0 }, e: { r: 1, c: totalCols - 1 } },
+    ];
+    setCell(0, 0, titleStyle);
+    setCell(1, 0, {
+      font: { name: "Calibri", sz: 9, italic: true, color: { rgb: "808080" } },
+      alignment: { vertical: "center", horizontal: "left" },
+    });
+
+    for (let c = 0; c < totalCols; c++) {
+      const isTiebreak = c >= tiebreakStartCol && c < tiebreakStartCol + tiebreakCount;
+      setCell(headerRowIndex, c, isTiebreak ? { ...headerStyle, fill: tiebreakHeaderFill } : headerStyle);
+    }
+
+    for (let r = dataStartRowIndex; r < dataStartRowIndex + dataRowCount; r++) {
+      const place = Number(ws[addr(r, 0)] && ws[addr(r, 0)].v);
+      for (let c = 0; c < totalCols; c++) {
+        setCell(r, c, place <= 3 && c === 0 ? { ...baseCell, font: { bold: true }, fill: podiumFill } : baseCell);
+      }
+    }
+
+    ws[addr(0, 0)].v = sheetTitle;
+  }
+
+  return {
+    LEGEND_COLORS,
+    validateGroups,
+    hasValidationErrors,
+    groupSettings,
+    buildRatingWorkbook,
+    buildChainedWorkbooks,
+    writeRatingWorkbook,
+    applySheetFormatting,
+    applyStandingsFormatting,
+  };
+});
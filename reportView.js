@@ -0,0 +1,129 @@
+// Event Report view (Rank Score Calculator)
+// - Shown under the Calculate button after every calculation: charts and crosstables built by
+//   eventReport.js for each calculated group
+// - "Export HTML" downloads the same report as a standalone page; "Print / PDF" prints only the
+//   report (see the print rules in style.css), one group per page
+// - "Result Pages" and "Certificates" open print-ready pages (printPages.js) with the event name,
+//   date and organizer logo of the print settings; the logo is kept in localStorage
+
+const { buildReportBody, buildReportDocument } = window.EventReport;
+const { buildResultPages, buildCertificates } = window.PrintPages;
+
+const PRINT_LOGO_STORAGE_KEY = "rankTool.printLogo";
+const PRINT_LOGO_MAX_LENGTH = 1000000; // data URL characters, localStorage holds only a few MB
+
+let shownReport = null;
+
+// report: { title, calculatedAt, dateLabel, language, sections } as described in eventReport.js
+window.showEventReport = function (report) {
+  const box = document.getElementById("eventReport");
+  if (!box) return;
+  shownReport = report;
+  box.innerHTML = "";
+
+  const actions = document.createElement("div");
+  actions.className = "event-report-actions";
+  for (const [label, handler] of [
+    ["⬇ Export HTML", exportEventReport],
+    ["🖨 Print / PDF", printEventReport],
+    ["📄 Result Pages", () => openPrintPages(buildResultPages, "results")],
+    ["🏅 Certificates", () => openPrintPages(buildCertificates, "certificates")],
+    ["✖ Close", window.closeEventReport],
+  ]) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = label;
+    btn.addEventListener("click", handler);
+    actions.appendChild(btn);
+  }
+
+  const body = document.createElement("div");
+  body.innerHTML = buildReportBody(report);
+
+  box.appendChild(actions);
+  box.appendChild(body);
+  box.classList.remove("is-hidden");
+};
+
+window.closeEventReport = function () {
+  const box = document.getElementById("eventReport");
+  if (!box) return;
+  shownReport = null;
+  box.innerHTML = "";
+  box.classList.add("is-hidden");
+};
+
+function exportEventReport() {
+  if (!shownReport) return;
+  downloadText(`${shownReport.title}_report.html`, buildReportDocument(shownReport));
+}
+
+// The browser's "Save as PDF" print target gives the PDF
+function printEventReport() {
+  document.body.classList.add("print-report");
+  window.addEventListener("afterprint", () => document.body.classList.remove("print-report"), { once: true });
+  window.print();
+}
+
+// ===== Result pages & certificates =====
+function readPrintSettings(report) {
+  const d = new Date(report.calculatedAt);
+  const pad = (n) => String(n).padStart(2, "0");
+  return {
+    eventName: document.getElementById("printEventName").value.trim() || report.title,
+    eventDate:
+      document.getElementById("printEventDate").value ||
+      `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`,
+    logo: localStorage.getItem(PRINT_LOGO_STORAGE_KEY) || "",
+    language: report.language || "zh",
+  };
+}
+
+// Opens the pages in a new tab (they have their own Print button); downloads them when the
+// browser blocks the tab
+function openPrintPages(build, suffix) {
+  if (!shownReport) return;
+  const html = build(shownReport, readPrintSettings(shownReport));
+  const win = window.open("", "_blank");
+  if (!win) {
+    downloadText(`${shownReport.title}_${suffix}.html`, html);
+    return;
+  }
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+}
+
+function renderPrintLogo() {
+  const logo = localStorage.getItem(PRINT_LOGO_STORAGE_KEY);
+  document.getElementById("printLogoBox").classList.toggle("is-hidden", !logo);
+  document.getElementById("printLogoPreview").src = logo || "";
+}
+
+function removePrintLogo() {
+  localStorage.removeItem(PRINT_LOGO_STORAGE_KEY);
+  renderPrintLogo();
+}
+
+(function initPrintLogo() {
+  const input = document.getElementById("printLogoFile");
+  if (!input) return;
+
+  input.addEventListener("change", () => {
+    const file = input.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      input.value = "";
+      if (reader.result.length > PRINT_LOGO_MAX_LENGTH) {
+        alert("⚠️ This logo is too large to keep in the browser. Please choose an image under 700 KB.");
+        return;
+      }
+      localStorage.setItem(PRINT_LOGO_STORAGE_KEY, reader.result);
+      renderPrintLogo();
+    };
+    reader.readAsDataURL(file);
+  });
+
+  renderPrintLogo();
+})();
@@ -0,0 +1,266 @@
+// Result Entry (Rank Score Calculator)
+// - Builds a group round by round instead of typing the .txt file: register the players
+//   (name, rating, K), then per round pick red and black and click the result
+// - The opponent's mirrored token (W6 -> L3) and the running score are filled in automatically
+//   (tokens and scores come from swissPairing.js, the same format the pairing panel writes)
+// - "Add to Calculator" puts the group into `groups` (app.js) next to the imported files, ready
+//   for Calculate; "⬇ .txt" saves it as a group file
+// - The entry is kept in localStorage until "New Entry"
+
+const ENTRY_STORAGE_KEY = "rankTool.resultEntry";
+
+// { groupName, roundCount, markPerRound, players: [{ name, rank, k }],
+//   rounds: [{ boards: [{ red, black, result }], bye }] (one per round), current: round index }
+let entryState = null;
+
+function loadEntryState() {
+  try {
+    entryState = JSON.parse(localStorage.getItem(ENTRY_STORAGE_KEY) || "null");
+  } catch (err) {
+    console.error("Ignoring broken result entry in localStorage", err);
+    entryState = null;
+  }
+}
+
+function saveEntryState() {
+  if (entryState) localStorage.setItem(ENTRY_STORAGE_KEY, JSON.stringify(entryState));
+  else localStorage.removeItem(ENTRY_STORAGE_KEY);
+}
+
+// ===== Setup =====
+function startResultEntry() {
+  const { players, skipped } = SwissPairing.parsePairingPlayers(document.getElementById("entryPlayers").value);
+  const roundCount = parseInt(document.getElementById("entryRoundCount").value, 10);
+  if (players.length < 2) {
+    alert("⚠️ Register at least 2 players (one per line: name,rating,K).");
+    return;
+  }
+  if (!(roundCount >= 1)) {
+    alert("⚠️ The number of rounds must be at least 1.");
+    return;
+  }
+  if (skipped.length > 0) {
+    const lines = skipped.map((s) => `line ${s.line}: ${s.reason}`).join("\n");
+    if (!confirm(`These lines are not players and will be ignored:\n${lines}\n\nContinue?`)) return;
+  }
+
+  entryState = {
+    groupName: document.getElementById("entryGroupName").value.trim() || "Group",
+    roundCount,
+    markPerRound: parseInt(document.getElementById("entryMark").value, 10),
+    players,
+    rounds: Array.from({ length: roundCount }, () => ({ boards: [], bye: null })),
+    current: 0,
+  };
+  saveEntryState();
+  renderResultEntry();
+}
+
+function resetResultEntry() {
+  if (entryState && !confirm("Discard the results entered so far?")) return;
+  entryState = null;
+  saveEntryState();
+  renderResultEntry();
+}
+
+function toggleResultEntry(open) {
+  const body = document.getElementById("entryBody");
+  const show = typeof open === "boolean" ? open : body.classList.contains("is-hidden");
+  body.classList.toggle("is-hidden", !show);
+  document.getElementById("entryToggleBtn").textContent = show ? "Close" : "Open";
+}
+
+function showEntryRound(index) {
+  entryState.current = Math.max(0, Math.min(entryState.roundCount - 1, index));
+  saveEntryState();
+  renderResultEntry();
+}
+
+// ===== Boards =====
+function addEntryBoard(result) {
+  const red = parseInt(document.getElementById("entryRed").value, 10);
+  const black = parseInt(document.getElementById("entryBlack").value, 10);
+  if (!Number.isFinite(red) || !Number.isFinite(black)) {
+    alert("Choose the red and the black player first.");
+    return;
+  }
+  if (red === black) {
+    alert("A player cannot play against themselves.");
+    return;
+  }
+  entryState.rounds[entryState.current].boards.push({ red, black, result });
+  saveEntryState();
+  renderResultEntry();
+}
+
+function removeEntryBoard(boardIndex) {
+  entryState.rounds[entryState.current].boards.splice(boardIndex, 1);
+  saveEntryState();
+  renderResultEntry();
+}
+
+function setEntryBye(value) {
+  entryState.rounds[entryState.current].bye = value === "" ? null : parseInt(value, 10);
+  saveEntryState();
+  renderResultEntry();
+}
+
+// Players not on a board (or bye) in the current round
+function unpairedEntryPlayers() {
+  const round = entryState.rounds[entryState.current];
+  const busy = new Set(round.boards.flatMap((b) => [b.red, b.black]));
+  return entryState.players.map((_, i) => i).filter((i) => !busy.has(i) && i !== round.bye);
+}
+
+// ===== Output =====
+function entryGroup() {
+  const fileName = `${entryState.groupName}.txt`;
+  return {
+    fileName,
+    sheetBase: sanitizeSheetName(fileName),
+    players: SwissPairing.toPlayerRows(entryState),
+    skipped: [],
+    roundCount: entryState.roundCount,
+    markPerRound: entryState.markPerRound,
+    fromResultEntry: true,
+  };
+}
+
+// Players without a game in some round are allowed (absent), but asked about
+function confirmMissingGames() {
+  const missing = entryState.rounds
+    .map((round, i) => {
+      const busy = new Set(round.boards.flatMap((b) => [b.red, b.black]));
+      if (round.bye !== null) busy.add(round.bye);
+      const names = entryState.players.filter((_, p) => !busy.has(p)).map((p) => p.name);
+      return names.length > 0 ? `Round ${i + 1}: ${names.join(", ")}` : null;
+    })
+    .filter(Boolean);
+  return missing.length === 0 || confirm(`No game entered for:\n${missing.join("\n")}\n\nContinue anyway?`);
+}
+
+function downloadEntryText() {
+  if (!entryState || !confirmMissingGames()) return;
+  downloadText(`${entryState.groupName}.txt`, SwissPairing.toGroupText(entryState));
+}
+
+// Replaces the group added earlier from this screen (same file name), keeps everything else
+function addEntryToCalculator() {
+  if (!entryState || !confirmMissingGames()) return;
+  const group = entryGroup();
+  const others = groups.filter((g) => !(g.fromResultEntry && g.fileName === group.fileName));
+  // With several events imported it joins the last one
+  const event = others.length > 0 ? others[others.length - 1].event : "";
+  setImportedGroups([...others, { ...group, event }]);
+  requestSessionAutosave();
+  document.getElementById("entryStatus").textContent =
+    `✅ ${entryState.groupName} added to the calculator (${entryState.players.length} players). Check it in the table below.`;
+}
+
+// ===== Rendering =====
+function renderResultEntry() {
+  const started = Boolean(entryState);
+  document.getElementById("entrySetup").classList.toggle("is-hidden", started);
+  document.getElementById("entryRounds").classList.toggle("is-hidden", !started);
+  if (!started) return;
+
+  const { current, roundCount, players } = entryState;
+  const round = entryState.rounds[current];
+  const describe = (i) => `${i + 1}. ${players[i].name} (${players[i].rank})`;
+
+  document.getElementById("entryRoundTitle").textContent = `${entryState.groupName} · Round ${current + 1} of ${roundCount}`;
+  document.getElementById("entryPrevBtn").disabled = current === 0;
+  document.getElementById("entryNextBtn").disabled = current === roundCount - 1;
+  document.getElementById("entryStatus").textContent = "";
+
+  // Only players still free in this round can be chosen
+  const free = unpairedEntryPlayers();
+  for (const id of ["entryRed", "entryBlack"]) {
+    const select = document.getElementById(id);
+    select.innerHTML = "";
+    for (const [value, text] of [["", id === "entryRed" ? "— red —" : "— black —"], ...free.map((i) => [String(i), describe(i)])]) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    }
+  }
+
+  const buttons = document.getElementById("entryResultButtons");
+  buttons.innerHTML = "";
+  for (const r of SwissPairing.BOARD_RESULTS) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = r.label;
+    btn.title = r.forfeit ? "Forfeit (not played)" : "";
+    btn.addEventListener("click", () => addEntryBoard(r.id));
+    buttons.appendChild(btn);
+  }
+
+  const byeSelect = document.getElementById("entryBye");
+  byeSelect.innerHTML = "";
+  const byeChoices = round.bye === null ? free : [round.bye, ...free];
+  for (const [value, text] of [["", "(no bye)"], ...byeChoices.map((i) => [String(i), describe(i)])]) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    byeSelect.appendChild(option);
+  }
+  byeSelect.value = round.bye === null ? "" : String(round.bye);
+
+  const boards = document.getElementById("entryBoardList");
+  boards.innerHTML = "";
+  round.boards.forEach((board, boardIndex) => {
+    const li = document.createElement("li");
+    const result = SwissPairing.BOARD_RESULTS.find((r) => r.id === board.result);
+    li.textContent = `${boardIndex + 1}. ${describe(board.red)}  ${result ? result.label : "?"}  ${describe(board.black)} `;
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.textContent = "✖";
+    remove.title = "Remove this board";
+    remove.addEventListener("click", () => removeEntryBoard(boardIndex));
+    li.appendChild(remove);
+    boards.appendChild(li);
+  });
+
+  renderEntryTable();
+}
+
+// Tokens of every round so far and the running score, as they will be in the .txt file
+function renderEntryTable() {
+  const table = document.getElementById("entryTable");
+  table.innerHTML = "";
+  const rows = SwissPairing.toPlayerRows(entryState);
+  const { roundCount } = entryState;
+
+  const head = document.createElement("tr");
+  for (const text of ["#", "Player", "Rating", "K", ...Array.from({ length: roundCount }, (_, i) => `R${i + 1}`), "Score"]) {
+    const th = document.createElement("th");
+    th.textContent = text;
+    head.appendChild(th);
+  }
+  const thead = document.createElement("thead");
+  thead.appendChild(head);
+  table.appendChild(thead);
+
+  const tbody = document.createElement("tbody");
+  rows.forEach((row, i) => {
+    const tr = document.createElement("tr");
+    [String(i + 1), ...row].forEach((text, col) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      if (col === 4 + entryState.current) td.classList.add("is-current-round");
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+}
+
+(function initResultEntry() {
+  if (!document.getElementById("resultEntry")) return;
+  loadEntryState();
+  renderResultEntry();
+  // An entry in progress stays open after a reload
+  if (entryState) toggleResultEntry(true);
+})();
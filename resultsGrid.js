@@ -0,0 +1,236 @@
+// Results Grid (Rank Score Calculator)
+// - One editable table per imported group: name, rating, K, round tokens and total score
+// - Opponent average, expected score, change, final rating and performance are recalculated live
+//   through calculateGroup (same code as the export), rows raised to the rating floor are highlighted,
+//   achievement thresholds of the rules profile that a player met are listed
+// - Unrated players (rating empty or NR) show their provisional initial rating as Final
+// - Edits go straight into `groups` (app.js), so Calculate exports what is on screen; a name, rating
+//   or K that an import would reject (getPlayerRowProblem) is marked and blocks Calculate
+// - Each group can be downloaded back as a .txt file in the name,rank,k,r1..rN,score format
+// - The whole file runs in its own scope; renderResultsGrid is put on window for app.js
+
+(function () {
+  const {
+    calculateGroup,
+    formatPlayersAsText,
+    hasUnplayedRounds,
+    getPlayerRowProblem,
+    isUnratedRating,
+    UNRATED,
+  } = window.RatingCore;
+
+  // Computed columns shown after the editable ones
+  const GRID_COMPUTED_COLUMNS = [
+    { key: "ratedScore", title: "Rated Score" },
+    { key: "avgOpponent", title: "Avg Opp" },
+    { key: "expected", title: "Expected" },
+    { key: "change", title: "Change" },
+    { key: "finalRank", title: "Final" },
+    { key: "performance", title: "Perf" },
+    { key: "achievements", title: "Achieved" },
+  ];
+
+  // "Rated Score" only when the group has byes / forfeits or unrated players, "Achieved" only when
+  // the rules profile has achievement thresholds
+  function gridComputedColumns(settings, group) {
+    const hasAchievements = (settings.rules.achievements || []).length > 0;
+    const hasRatedScore =
+      hasUnplayedRounds(group.players, settings.roundCount) || group.players.some((p) => isUnratedRating(p[1]));
+    return GRID_COMPUTED_COLUMNS.filter((c) =>
+      (c.key !== "achievements" || hasAchievements) && (c.key !== "ratedScore" || hasRatedScore)
+    );
+  }
+
+  function formatComputed(key, value) {
+    if (key === "achievements") return value.join(", ");
+    if (key === "finalRank" && value === null) return UNRATED; // too few games for an initial rating
+    if (!Number.isFinite(value)) return "—";
+    if (key === "change") return value > 0 ? `+${value.toFixed(1)}` : value.toFixed(1);
+    return String(value);
+  }
+
+  // The problem of the name (0), rating (1) or K (2) cell on its own, null when it is fine
+  function playerCellProblem(player, col) {
+    const row = ["-", "", "", ""];
+    row[col] = player[col] === undefined ? "" : String(player[col]);
+    return getPlayerRowProblem(row);
+  }
+
+  function markInvalidCell(input, player, col) {
+    if (col > 2) return;
+    const problem = playerCellProblem(player, col);
+    input.classList.toggle("is-invalid", problem !== null);
+    input.title = problem || "";
+  }
+
+  window.renderResultsGrid = function () {
+    const box = document.getElementById("resultsGrid");
+    if (!box) return;
+    box.innerHTML = "";
+
+    const panelSettings = readCalculatorSettings();
+    groups.forEach((group, groupIndex) => {
+      if (!group.players || group.players.length === 0) return;
+      const settings = groupSettings(group, panelSettings);
+      if (!Number.isFinite(settings.roundCount) || settings.roundCount < 1) return;
+      box.appendChild(buildGroupGrid(group, groupIndex, settings));
+    });
+  };
+
+  function buildGroupGrid(group, groupIndex, settings) {
+    const { roundCount } = settings;
+
+    const card = document.createElement("div");
+    card.className = "grid-card";
+    card.dataset.groupIndex = String(groupIndex);
+
+    const header = document.createElement("div");
+    header.className = "grid-card-header";
+
+    const title = document.createElement("div");
+    title.className = "grid-card-title";
+    const event = group.event ? `${group.event} · ` : "";
+    title.textContent =
+      `${event}${group.sheetBase} (${group.players.length} players, ${roundCount} rounds, mark ${settings.markPerRound})`;
+
+    const downloadBtn = document.createElement("button");
+    downloadBtn.type = "button";
+    downloadBtn.className = "grid-download";
+    downloadBtn.textContent = "⬇ .txt";
+    downloadBtn.title = "Download this group in the .txt import format";
+    downloadBtn.addEventListener("click", () => downloadGroupAsText(groupIndex));
+
+    header.appendChild(title);
+    header.appendChild(downloadBtn);
+    card.appendChild(header);
+
+    const scroller = document.createElement("div");
+    scroller.className = "grid-scroll";
+
+    const table = document.createElement("table");
+    table.className = "results-grid";
+
+    const thead = document.createElement("thead");
+    const headRow = document.createElement("tr");
+    const titles = [
+      "#",
+      "Player",
+      "Rating",
+      "K",
+      ...Array.from({ length: roundCount }, (_, i) => `R${i + 1}`),
+      "Score",
+      ...gridComputedColumns(settings, group).map((c) => c.title),
+    ];
+    for (const text of titles) {
+      const th = document.createElement("th");
+      th.textContent = text;
+      headRow.appendChild(th);
+    }
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement("tbody");
+    group.players.forEach((player, rowIndex) => {
+      const tr = document.createElement("tr");
+
+      const idCell = document.createElement("td");
+      idCell.className = "grid-id";
+      idCell.textContent = String(rowIndex + 1);
+      tr.appendChild(idCell);
+
+      // Editable cells: name, rating, K, rounds, score (indexes into the player row)
+      for (let col = 0; col < 4 + roundCount; col++) {
+        const td = document.createElement("td");
+        const input = document.createElement("input");
+        input.type = "text";
+        input.value = player[col] === undefined ? "" : String(player[col]);
+        input.className = col === 0 ? "grid-input grid-name" : "grid-input";
+        markInvalidCell(input, player, col);
+        input.addEventListener("input", () => {
+          while (player.length <= col) player.push("");
+          player[col] = input.value.trim();
+          markInvalidCell(input, player, col);
+          refreshGridComputed(groupIndex);
+          requestSessionAutosave();
+        });
+        // A new name may belong to another registry player (checked once typing is done)
+        if (col === 0) input.addEventListener("change", refreshRegistryLinks);
+        // A first (or last) BYE / forfeit or unrated player adds (or removes) the Rated Score column
+        if (col === 1 || (col >= 3 && col < 3 + roundCount)) {
+          input.addEventListener("change", () => {
+            const shown = tr.querySelectorAll(".grid-computed").length;
+            const current = groupSettings(group, readCalculatorSettings());
+            if (gridComputedColumns(current, group).length !== shown) window.renderResultsGrid();
+          });
+        }
+        td.appendChild(input);
+        tr.appendChild(td);
+      }
+
+      for (const { key } of gridComputedColumns(settings, group)) {
+        const td = document.createElement("td");
+        td.className = "grid-computed";
+        td.dataset.key = key;
+        tr.appendChild(td);
+      }
+
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+
+    scroller.appendChild(table);
+    card.appendChild(scroller);
+
+    fillGridComputed(card, group, settings);
+    return card;
+  }
+
+  function fillGridComputed(card, group, settings) {
+    const { results } = calculateGroup(group.players, {
+      groupName: group.sheetBase,
+      roundCount: settings.roundCount,
+      markPerRound: settings.markPerRound,
+      rules: settings.rules,
+      kSource: settings.kSource,
+    });
+
+    const rows = card.querySelectorAll("tbody tr");
+    results.forEach((result, i) => {
+      const tr = rows[i];
+      if (!tr) return;
+
+      for (const td of tr.querySelectorAll(".grid-computed")) {
+        const key = td.dataset.key;
+        td.textContent = formatComputed(key, result[key]);
+        td.classList.toggle("is-positive", key === "change" && result.change > 0);
+        td.classList.toggle("is-negative", key === "change" && result.change < 0);
+        td.classList.toggle("is-floor-adjusted", key === "finalRank" && result.adjusted);
+        td.classList.toggle("is-provisional", key === "finalRank" && result.unrated && !result.adjusted);
+        td.classList.toggle("is-achieved", key === "achievements" && result.achievements.length > 0);
+      }
+    });
+  }
+
+  // Only the computed cells are redrawn so the input being typed in keeps focus
+  function refreshGridComputed(groupIndex) {
+    const card = document.querySelector(`#resultsGrid .grid-card[data-group-index="${groupIndex}"]`);
+    const group = groups[groupIndex];
+    if (!card || !group) return;
+    fillGridComputed(card, group, groupSettings(group, readCalculatorSettings()));
+  }
+
+  function downloadGroupAsText(groupIndex) {
+    const group = groups[groupIndex];
+    if (!group) return;
+    const { roundCount } = groupSettings(group, readCalculatorSettings());
+    downloadText(`${group.sheetBase}.txt`, formatPlayersAsText(group.players, roundCount));
+  }
+
+  // Settings that change the table layout or the numbers
+  (function initResultsGrid() {
+    for (const id of ["rounds", "markPerRound", "kSource", "rulesProfile"]) {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener("change", window.renderResultsGrid);
+    }
+  })();
+})();
@@ -0,0 +1,232 @@
+// Rules Profiles (used by the Rank Score Calculator)
+// - "Default" is built in (DEFAULT_RULES_PROFILE in ratingCore.js) and read-only
+// - User profiles are stored in localStorage and can be edited in the calculator panel
+// - Profiles can be exported / imported as JSON to share them between laptops
+// - Every save bumps the profile version; the version is written on each generated sheet
+
+const { normalizeRulesProfile } = window.RatingCore;
+
+const RULES_STORAGE_KEY = "rankTool.rulesProfiles";
+const RULES_SELECTED_KEY = "rankTool.selectedRulesProfile";
+
+function loadUserRulesProfiles() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RULES_STORAGE_KEY) || "[]");
+    return Array.isArray(stored) ? stored.map(normalizeRulesProfile) : [];
+  } catch (err) {
+    console.error("Ignoring broken rules profiles in localStorage", err);
+    return [];
+  }
+}
+
+function saveUserRulesProfiles(profiles) {
+  localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(profiles));
+}
+
+function getAllRulesProfiles() {
+  return [DEFAULT_RULES_PROFILE, ...loadUserRulesProfiles()];
+}
+
+function findRulesProfile(name) {
+  return getAllRulesProfiles().find((p) => p.name === name) || null;
+}
+
+// Used by calculate() in app.js
+window.getSelectedRulesProfile = function () {
+  const name = localStorage.getItem(RULES_SELECTED_KEY);
+  return (name && findRulesProfile(name)) || DEFAULT_RULES_PROFILE;
+};
+
+// ===== Profile Editor UI =====
+function renderRulesProfileSelect(selectedName) {
+  const select = document.getElementById("rulesProfile");
+  if (!select) return;
+
+  const selected = selectedName || window.getSelectedRulesProfile().name;
+  select.innerHTML = "";
+  for (const profile of getAllRulesProfiles()) {
+    const option = document.createElement("option");
+    option.value = profile.name;
+    option.textContent = `${profile.name} (v${profile.version})`;
+    if (profile.name === selected) option.selected = true;
+    select.appendChild(option);
+  }
+  localStorage.setItem(RULES_SELECTED_KEY, select.value);
+
+  const deleteBtn = document.getElementById("rulesDeleteBtn");
+  if (deleteBtn) deleteBtn.disabled = select.value === DEFAULT_RULES_PROFILE.name;
+}
+
+function kBandsToText(kBands) {
+  return kBands.map((band) => `${band.min === null ? "" : band.min},${band.k}`).join("\n");
+}
+
+function textToKBands(text) {
+  return String(text)
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [min, k] = line.split(",").map((x) => x.trim());
+      return { min: min === "" ? null : min, k };
+    });
+}
+
+function expectedTableToText(table) {
+  return table.map((row) => row.join(",")).join("\n");
+}
+
+function textToExpectedTable(text) {
+  return String(text)
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .map((line) => line.split(",").map((x) => x.trim()));
+}
+
+function achievementsToText(achievements) {
+  return (achievements || []).map((a) => `${a.label},${a.minPerformance},${a.minGames}`).join("\n");
+}
+
+// The label may contain commas, the two numbers are always the last two fields
+function textToAchievements(text) {
+  return String(text)
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const match = line.match(/^(.*),([^,]*),([^,]*)$/);
+      if (!match) return { label: line, minPerformance: "", minGames: "" };
+      return { label: match[1].trim(), minPerformance: match[2].trim(), minGames: match[3].trim() };
+    });
+}
+
+// Opens the editor. The built-in profile cannot be changed, so editing it starts a copy.
+function openRulesEditor(mode) {
+  const current = window.getSelectedRulesProfile();
+  const isCopy = mode === "new" || current.name === DEFAULT_RULES_PROFILE.name;
+
+  document.getElementById("rulesEditor").dataset.originalName = isCopy ? "" : current.name;
+  document.getElementById("rulesName").value = isCopy ? `${current.name} (copy)` : current.name;
+  document.getElementById("rulesMinFinal").value = current.minFinalRank;
+  document.getElementById("rulesAvgRounding").value = current.opponentAvgRounding;
+  document.getElementById("rulesExpectedDecimals").value = current.expectedDecimals;
+  document.getElementById("rulesProvisionalMinGames").value = current.provisionalMinGames;
+  document.getElementById("rulesUnratedOpponents").value = current.unratedOpponents;
+  document.getElementById("rulesKBands").value = kBandsToText(current.kBands);
+  document.getElementById("rulesExpectedTable").value = expectedTableToText(current.expectedTable);
+  document.getElementById("rulesAchievements").value = achievementsToText(current.achievements);
+  document.getElementById("rulesEditor").classList.remove("is-hidden");
+}
+
+function closeRulesEditor() {
+  document.getElementById("rulesEditor").classList.add("is-hidden");
+}
+
+function saveRulesEditor() {
+  const editor = document.getElementById("rulesEditor");
+  const originalName = editor.dataset.originalName || "";
+
+  let profile;
+  try {
+    profile = normalizeRulesProfile({
+      name: document.getElementById("rulesName").value,
+      minFinalRank: document.getElementById("rulesMinFinal").value,
+      opponentAvgRounding: document.getElementById("rulesAvgRounding").value,
+      expectedDecimals: document.getElementById("rulesExpectedDecimals").value,
+      provisionalMinGames: document.getElementById("rulesProvisionalMinGames").value,
+      unratedOpponents: document.getElementById("rulesUnratedOpponents").value,
+      kBands: textToKBands(document.getElementById("rulesKBands").value),
+      expectedTable: textToExpectedTable(document.getElementById("rulesExpectedTable").value),
+      achievements: textToAchievements(document.getElementById("rulesAchievements").value),
+    });
+  } catch (err) {
+    alert("⚠️ " + err.message);
+    return;
+  }
+
+  if (profile.name === DEFAULT_RULES_PROFILE.name) {
+    alert("⚠️ The name \"Default\" is reserved for the built-in profile.");
+    return;
+  }
+
+  const profiles = loadUserRulesProfiles();
+  const existing = profiles.find((p) => p.name === profile.name);
+  if (existing && existing.name !== originalName) {
+    alert(`⚠️ A profile named "${profile.name}" already exists.`);
+    return;
+  }
+
+  const previous = profiles.find((p) => p.name === originalName);
+  profile.version = previous ? previous.version + 1 : 1;
+
+  const next = profiles.filter((p) => p.name !== originalName);
+  next.push(profile);
+  saveUserRulesProfiles(next);
+
+  renderRulesProfileSelect(profile.name);
+  closeRulesEditor();
+}
+
+function deleteSelectedRulesProfile() {
+  const name = document.getElementById("rulesProfile").value;
+  if (name === DEFAULT_RULES_PROFILE.name) return;
+  if (!confirm(`Delete rules profile "${name}"?`)) return;
+
+  saveUserRulesProfiles(loadUserRulesProfiles().filter((p) => p.name !== name));
+  renderRulesProfileSelect(DEFAULT_RULES_PROFILE.name);
+  closeRulesEditor();
+}
+
+function exportSelectedRulesProfile() {
+  const profile = window.getSelectedRulesProfile();
+  const fileName = `${sanitizeSheetName(profile.name)}.rules.json`;
+  const blob = new Blob([JSON.stringify(profile, null, 2)], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = fileName;
+  a.click();
+}
+
+async function importRulesProfileFile(file) {
+  let profile;
+  try {
+    profile = normalizeRulesProfile(JSON.parse(await readFileAsText(file)));
+  } catch (err) {
+    alert("⚠️ Could not import rules profile: " + err.message);
+    return;
+  }
+
+  if (profile.name === DEFAULT_RULES_PROFILE.name) {
+    profile.name = `${profile.name} (imported)`;
+  }
+
+  const profiles = loadUserRulesProfiles();
+  if (profiles.some((p) => p.name === profile.name) &&
+      !confirm(`A profile named "${profile.name}" already exists. Replace it?`)) {
+    return;
+  }
+
+  saveUserRulesProfiles([...profiles.filter((p) => p.name !== profile.name), profile]);
+  renderRulesProfileSelect(profile.name);
+}
+
+(function initRulesProfilesUI() {
+  const select = document.getElementById("rulesProfile");
+  if (!select) return;
+
+  renderRulesProfileSelect();
+
+  select.addEventListener("change", function () {
+    localStorage.setItem(RULES_SELECTED_KEY, select.value);
+    renderRulesProfileSelect(select.value);
+    closeRulesEditor();
+  });
+
+  const importInput = document.getElementById("rulesImportFile");
+  importInput.addEventListener("change", async function () {
+    const file = importInput.files && importInput.files[0];
+    if (file) await importRulesProfileFile(file);
+    importInput.value = "";
+  });
+})();
@@ -0,0 +1,311 @@
+// Calculator Sessions (IndexedDB, see storage.js)
+// - A session holds the imported groups, round / mark / K / rules settings, the output
+//   name and the results of the last calculation
+// - The open session is saved automatically after every import, edit or settings change,
+//   so going back to the main menu or a reload does not lose the data
+// - Sessions can be reopened, duplicated, deleted, and exported / imported as one JSON file
+
+const SESSION_FILE_TYPE = "rankToolSession";
+const SESSION_FILE_VERSION = 1;
+const SESSION_AUTOSAVE_DELAY = 500; // ms
+
+let currentSessionId = null;
+let autosaveTimer = null;
+
+function formatSessionTime(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function defaultSessionName() {
+  const typed = document.getElementById("sessionName").value.trim();
+  if (typed) return typed;
+  const output = document.getElementById("fileName").value.trim();
+  const first = groups[0] ? groups[0].sheetBase : "Session";
+  return `${output || first} ${formatSessionTime(new Date().toISOString())}`;
+}
+
+// Everything on the calculator panel that a session restores
+function snapshotCalculator() {
+  return {
+    groups: JSON.parse(JSON.stringify(groups)),
+    settings: {
+      rounds: document.getElementById("rounds").value,
+      markPerRound: document.getElementById("markPerRound").value,
+      kSource: document.getElementById("kSource").value,
+      language: document.getElementById("sheetLanguage").value,
+      formulas: document.getElementById("excelFormulas").checked,
+      rulesProfile: document.getElementById("rulesProfile").value,
+      standings: readStandingsSettings(),
+      printEventName: document.getElementById("printEventName").value,
+      printEventDate: document.getElementById("printEventDate").value,
+    },
+    outputFileName: document.getElementById("fileName").value,
+  };
+}
+
+// Writes one session record from data the caller took before the first await, so a session
+// opened or closed meanwhile cannot change which record is written. Does not touch the panel.
+async function writeSession(id, name, snapshot) {
+  const now = new Date().toISOString();
+  const existing = await dbGet("sessions", id);
+  const session = existing
+    ? { ...existing, ...snapshot, updatedAt: now }
+    : { id, name, createdAt: now, updatedAt: now, lastResults: null, ...snapshot };
+  await dbPut("sessions", session);
+  await renderSessionList();
+  return session;
+}
+
+async function saveCurrentSession() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+  if (!groups.length && !currentSessionId) return;
+
+  // A new session is the open one from here on
+  const id = currentSessionId || makeId();
+  const name = defaultSessionName();
+  currentSessionId = id;
+  const session = await writeSession(id, name, snapshotCalculator());
+
+  // Closed, or another session opened, while writing: the panel belongs to that one now
+  if (currentSessionId === id) document.getElementById("sessionName").value = session.name;
+}
+
+function reportSessionError(err) {
+  console.error(err);
+  const status = document.getElementById("sessionStatus");
+  if (status) status.textContent = `⚠️ Session could not be saved: ${err.message}`;
+}
+
+// Called by app.js / resultsGrid.js whenever the imported data changes
+window.autosaveSession = function () {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(() => {
+    saveCurrentSession().catch(reportSessionError);
+  }, SESSION_AUTOSAVE_DELAY);
+};
+
+// Called by app.js before the imported groups are cleared (back to menu, Clear, after Calculate)
+window.closeSession = function () {
+  // A pending autosave goes into the session being closed, never into the one opened next
+  if (autosaveTimer) {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    if (groups.length || currentSessionId) {
+      writeSession(currentSessionId || makeId(), defaultSessionName(), snapshotCalculator()).catch(reportSessionError);
+    }
+  }
+  currentSessionId = null;
+  document.getElementById("sessionName").value = "";
+  renderSessionList().catch(reportSessionError);
+};
+
+// Called by calculate() in app.js with { calculatedAt, updateLines, groups }.
+// Returns the session id, which players.js uses as the event id of the calculation.
+window.recordSessionResults = function (lastResults) {
+  // This write includes everything a pending autosave would, and must not be overwritten by it
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+
+  const snapshot = snapshotCalculator();
+  const id = currentSessionId || makeId();
+  const name = defaultSessionName();
+  (async () => {
+    const existing = await dbGet("sessions", id);
+    const now = new Date().toISOString();
+    const session = existing
+      ? { ...existing, ...snapshot, lastResults, updatedAt: now }
+      : { id, name, createdAt: now, updatedAt: now, ...snapshot, lastResults };
+    await dbPut("sessions", session);
+    await renderSessionList();
+  })().catch(reportSessionError);
+  return id;
+};
+
+async function openSession(id) {
+  const session = await dbGet("sessions", id);
+  if (!session) return;
+
+  // Close whatever is open first (this also clears the file input)
+  if (typeof window.resetRankImportUI === "function") window.resetRankImportUI({ clearResult: true });
+
+  const { settings } = session;
+  document.getElementById("rounds").value = settings.rounds;
+  document.getElementById("markPerRound").value = settings.markPerRound;
+  document.getElementById("kSource").value = settings.kSource || "bands";
+  document.getElementById("sheetLanguage").value = settings.language || "zh";
+  document.getElementById("excelFormulas").checked = Boolean(settings.formulas);
+  document.getElementById("printEventName").value = settings.printEventName || "";
+  document.getElementById("printEventDate").value = settings.printEventDate || "";
+  applyStandingsSettings(settings.standings || null);
+  document.getElementById("fileName").value = session.outputFileName || "";
+
+  const profileSelect = document.getElementById("rulesProfile");
+  if ([...profileSelect.options].some((o) => o.value === settings.rulesProfile)) {
+    profileSelect.value = settings.rulesProfile;
+    profileSelect.dispatchEvent(new Event("change"));
+  }
+
+  currentSessionId = session.id;
+  document.getElementById("sessionName").value = session.name;
+  setImportedGroups(session.groups || []);
+
+  if (session.lastResults) {
+    document.getElementById("resultMsg").innerText =
+      `Last calculated ${formatSessionTime(session.lastResults.calculatedAt)}.`;
+  }
+  await renderSessionList();
+}
+
+async function duplicateSession(id) {
+  const session = await dbGet("sessions", id);
+  if (!session) return;
+  const now = new Date().toISOString();
+  await dbPut("sessions", { ...session, id: makeId(), name: `${session.name} (copy)`, createdAt: now, updatedAt: now });
+  await renderSessionList();
+}
+
+async function deleteSession(id) {
+  const session = await dbGet("sessions", id);
+  if (!session || !confirm(`Delete session "${session.name}"?`)) return;
+  await dbDelete("sessions", id);
+  if (id === currentSessionId) {
+    currentSessionId = null;
+    document.getElementById("sessionName").value = "";
+  }
+  await renderSessionList();
+}
+
+async function exportSession(id) {
+  const session = await dbGet("sessions", id);
+  if (!session) return;
+  const payload = { type: SESSION_FILE_TYPE, version: SESSION_FILE_VERSION, session };
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `${sanitizeSheetName(session.name)}.session.json`;
+  a.click();
+}
+
+async function importSessionFile(file) {
+  let payload;
+  try {
+    payload = JSON.parse(await readFileAsText(file));
+  } catch (err) {
+    alert("⚠️ This file is not valid JSON.");
+    return;
+  }
+
+  if (!payload || payload.type !== SESSION_FILE_TYPE || !payload.session || !Array.isArray(payload.session.groups)) {
+    alert("⚠️ This file is not an exported calculator session.");
+    return;
+  }
+
+  // Always store as a new session so an import never overwrites local work
+  const now = new Date().toISOString();
+  const session = { ...payload.session, id: makeId(), updatedAt: now };
+  await dbPut("sessions", session);
+  await renderSessionList();
+}
+
+async function renderSessionList() {
+  const list = document.getElementById("sessionList");
+  if (!list) return;
+
+  const sessions = (await dbGetAll("sessions")).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  list.innerHTML = "";
+
+  const empty = document.getElementById("sessionEmpty");
+  if (empty) empty.classList.toggle("is-hidden", sessions.length > 0);
+
+  for (const session of sessions) {
+    const li = document.createElement("li");
+    li.className = "session-item" + (session.id === currentSessionId ? " is-current" : "");
+
+    const info = document.createElement("div");
+    info.className = "session-info";
+
+    const name = document.createElement("div");
+    name.className = "session-name";
+    name.textContent = session.name;
+
+    const meta = document.createElement("div");
+    meta.className = "session-meta";
+    const parts = [`${(session.groups || []).length} group(s)`, `saved ${formatSessionTime(session.updatedAt)}`];
+    if (session.lastResults) parts.push(`calculated ${formatSessionTime(session.lastResults.calculatedAt)}`);
+    meta.textContent = parts.join(" · ");
+
+    info.appendChild(name);
+    info.appendChild(meta);
+    li.appendChild(info);
+
+    const actions = document.createElement("div");
+    actions.className = "session-actions";
+    for (const [label, handler] of [
+      ["Open", openSession],
+      ["Duplicate", duplicateSession],
+      ["Export", exportSession],
+      ["Delete", deleteSession],
+    ]) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.textContent = label;
+      btn.addEventListener("click", () => handler(session.id).catch(reportSessionError));
+      actions.appendChild(btn);
+    }
+    li.appendChild(actions);
+
+    list.appendChild(li);
+  }
+}
+
+async function renameCurrentSession(name) {
+  if (!currentSessionId || !name) return;
+  const session = await dbGet("sessions", currentSessionId);
+  if (!session) return;
+  await dbPut("sessions", { ...session, name, updatedAt: new Date().toISOString() });
+  await renderSessionList();
+}
+
+(function initSessionsUI() {
+  if (!document.getElementById("sessionList")) return;
+
+  document.getElementById("sessionName").addEventListener("change", (e) => {
+    renameCurrentSession(e.target.value.trim()).catch(reportSessionError);
+  });
+
+  // Settings are part of the session too
+  const settingIds = [
+    "rounds",
+    "markPerRound",
+    "kSource",
+    "sheetLanguage",
+    "excelFormulas",
+    "rulesProfile",
+    "fileName",
+    "standingsEnabled",
+    ...TIEBREAK_SELECT_IDS,
+    "printEventName",
+    "printEventDate",
+  ];
+  for (const id of settingIds) {
+    const el = document.getElementById(id);
+    if (el) {
+      el.addEventListener("change", () => {
+        if (currentSessionId) window.autosaveSession();
+      });
+    }
+  }
+
+  const importInput = document.getElementById("sessionImportFile");
+  importInput.addEventListener("change", async function () {
+    const file = importInput.files && importInput.files[0];
+    if (file) await importSessionFile(file).catch(reportSessionError);
+    importInput.value = "";
+  });
+
+  renderSessionList().catch(reportSessionError);
+})();
@@ -0,0 +1,71 @@
+// Local storage (IndexedDB) shared by the page tools
+// - One database "rankTool"; each object store is keyed by "id"
+// - Small promise helpers so callers can use async/await instead of IDB events
+//
+// Stores:
+//   sessions  - saved calculator sessions (sessions.js)
+//   players   - player registry with rating history (players.js), added in version 2
+
+const DB_NAME = "rankTool";
+const DB_VERSION = 2;
+const DB_STORES = ["sessions", "players"];
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("This browser does not support IndexedDB."));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      for (const name of DB_STORES) {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: "id" });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error("Failed to open the local database"));
+  });
+
+  // Allow a retry after a failed open (e.g. blocked by another tab)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+async function dbRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error || request.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+function dbGetAll(storeName) {
+  return dbRequest(storeName, "readonly", (store) => store.getAll());
+}
+
+function dbGet(storeName, id) {
+  return dbRequest(storeName, "readonly", (store) => store.get(id));
+}
+
+function dbPut(storeName, value) {
+  return dbRequest(storeName, "readwrite", (store) => store.put(value));
+}
+
+function dbDelete(storeName, id) {
+  return dbRequest(storeName, "readwrite", (store) => store.delete(id));
+}
+
+function makeId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
@@ -0,0 +1,262 @@
+// Swiss Pairing (no DOM)
+// - Pairs one group round by round: players are ordered by score, then rating (unrated players
+//   after the rated ones); each score group is split in halves (top half against bottom half), the lowest player of an odd group floats
+//   down, and nobody meets the same opponent twice while that is possible
+// - Colours (red / black) follow each player's balance so far: the player who played red more
+//   often gets black, and after two games in the same colour the other one is preferred
+// - With an odd number of players the lowest player without a bye so far gets the bye (a win)
+// - The finished rounds are written as the calculator's group file: name,rank,k,r1..rN,score with
+//   W6 / D6 / L6 tokens, +6 / -6 for forfeits and BYE (see parseOpponentToken in ratingCore.js)
+//
+// Loads in the browser as window.SwissPairing and in Node via require("./swissPairing.js").
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./ratingCore.js"));
+  } else {
+    root.SwissPairing = factory(root.RatingCore);
+  }
+})(typeof self !== "undefined" ? self : this, function (RatingCore) {
+  "use strict";
+
+  const { parseDelimitedText, formatPlayersAsText, isUnratedRating, UNRATED } = RatingCore;
+
+  // Board results, red player first; tokens are what each side gets in the group file.
+  // Also used by the result entry of the calculator (resultEntry.js).
+  const BOARD_RESULTS = [
+    { id: "1-0", label: "1-0", red: "W", black: "L" },
+    { id: "=", label: "½-½", red: "D", black: "D" },
+    { id: "0-1", label: "0-1", red: "L", black: "W" },
+    { id: "+-", label: "+/-", red: "+", black: "-", forfeit: true },
+    { id: "-+", label: "-/+", red: "-", black: "+", forfeit: true },
+  ];
+
+  const TOKEN_POINTS = { W: 1, "+": 1, D: 0.5, L: 0, "-": 0 }; // in marks per round
+  const SEARCH_LIMIT = 200000; // pairing attempts before repeat opponents are allowed
+
+  // state: {
+  //   groupName, roundCount, markPerRound,
+  //   players: [{ name, rank, k }]               (player number = index + 1, rank "NR" when unrated)
+  //   rounds: [{ boards: [{ red, black, result }], bye: player index | null }]   (result: BOARD_RESULTS id | null)
+  // }
+
+  // Players from "name,rating,K" lines (K may be empty, the rating empty or NR for a newcomer).
+  // Extra columns are ignored, so a group .txt file can be loaded as well.
+  // Returns { players, skipped: [{ line, reason }] }
+  function parsePairingPlayers(text) {
+    const players = [];
+    const skipped = [];
+    parseDelimitedText(text, ",").forEach((row, i) => {
+      if (row.length === 1 && row[0] === "") return;
+      const name = String(row[0] || "").trim();
+      const unrated = isUnratedRating(row[1]);
+      const rank = unrated ? UNRATED : parseInt(row[1], 10);
+      const kText = String(row[2] || "").trim();
+      if (!name) skipped.push({ line: i + 1, reason: "Name is empty" });
+      else if (!Number.isFinite(rank) && !unrated) {
+        skipped.push({
+          line: i + 1,
+          reason: `Rating "${row[1]}" is not a number (leave it empty or write ${UNRATED} for an unrated player)`,
+        });
+      } else players.push({ name, rank, k: Number.isFinite(parseInt(kText, 10)) ? parseInt(kText, 10) : "" });
+    });
+    return { players, skipped };
+  }
+
+  // Sort comparator for players: higher rating first, unrated players after every rated one
+  function compareRating(a, b) {
+    const rating = (player) => (player.rank === UNRATED ? -Infinity : player.rank);
+    const x = rating(a);
+    const y = rating(b);
+    return x === y ? 0 : y > x ? 1 : -1;
+  }
+
+  // Throws an Error with a readable message when the tournament cannot be started
+  function createTournament(players, { groupName, roundCount, markPerRound }) {
+    if (players.length < 2) throw new Error("At least 2 players are needed.");
+    if (!(roundCount >= 1)) throw new Error("The number of rounds must be at least 1.");
+    if (roundCount >= players.length + (players.length % 2)) {
+      throw new Error(`${players.length} players cannot play ${roundCount} rounds without meeting twice.`);
+    }
+    return { groupName, roundCount, markPerRound, players: players.map((p) => ({ ...p })), rounds: [] };
+  }
+
+  function isRoundComplete(round) {
+    return round.boards.every((b) => b.result);
+  }
+
+  // ===== Tokens & Scores =====
+  // Token of every player in one round ("" when the player was not paired)
+  function roundTokens(state, round) {
+    const tokens = state.players.map(() => "");
+    if (round.bye !== null) tokens[round.bye] = "BYE";
+    for (const { red, black, result } of round.boards) {
+      const res = BOARD_RESULTS.find((r) => r.id === result);
+      tokens[red] = res ? `${res.red}${black + 1}` : String(black + 1);
+      tokens[black] = res ? `${res.black}${red + 1}` : String(red + 1);
+    }
+    return tokens;
+  }
+
+  // Points per player over the rounds with results (a bye scores a win)
+  function playerScores(state) {
+    const scores = state.players.map(() => 0);
+    for (const round of state.rounds) {
+      roundTokens(state, round).forEach((token, i) => {
+        if (token === "BYE") scores[i] += state.markPerRound;
+        else if (token[0] in TOKEN_POINTS) scores[i] += TOKEN_POINTS[token[0]] * state.markPerRound;
+      });
+    }
+    return scores;
+  }
+
+  // Rows for the calculator (name, rank, k, r1..rN, score) over the completed rounds
+  function toPlayerRows(state) {
+    const completed = state.rounds.filter(isRoundComplete);
+    const tokens = completed.map((round) => roundTokens(state, round));
+    const scores = playerScores({ ...state, rounds: completed });
+    return state.players.map((p, i) => [
+      p.name,
+      String(p.rank),
+      String(p.k),
+      ...tokens.map((t) => t[i]),
+      String(scores[i]),
+    ]);
+  }
+
+  function toGroupText(state) {
+    return formatPlayersAsText(toPlayerRows(state), state.rounds.filter(isRoundComplete).length);
+  }
+
+  // ===== Colours =====
+  // "R" / "B" per game played so far
+  function colourHistory(state) {
+    const colours = state.players.map(() => []);
+    for (const round of state.rounds) {
+      for (const { red, black } of round.boards) {
+        colours[red].push("R");
+        colours[black].push("B");
+      }
+    }
+    return colours;
+  }
+
+  // { want: "R" | "B" | null, strength }: balance first, then alternation
+  function colourPreference(colours) {
+    if (colours.length === 0) return { want: null, strength: 0 };
+    const balance = colours.filter((c) => c === "R").length - colours.filter((c) => c === "B").length;
+    const last = colours[colours.length - 1];
+    const twice = colours.length >= 2 && colours[colours.length - 2] === last;
+    if (balance !== 0) return { want: balance > 0 ? "B" : "R", strength: Math.abs(balance) + (twice ? 1 : 0) };
+    return { want: last === "R" ? "B" : "R", strength: twice ? 2 : 0.5 };
+  }
+
+  // a is the higher placed player; boardIndex alternates the colours in the first round
+  function assignColours(a, b, prefs, boardIndex) {
+    const pa = prefs[a];
+    const pb = prefs[b];
+    let aRed;
+    if (!pa.want && !pb.want) aRed = boardIndex % 2 === 0;
+    else if (!pb.want || (pa.want && pa.want !== pb.want)) aRed = pa.want === "R";
+    else if (!pa.want) aRed = pb.want === "B";
+    else aRed = pb.strength > pa.strength ? pb.want === "B" : pa.want === "R";
+    return aRed ? { red: a, black: b, result: null } : { red: b, black: a, result: null };
+  }
+
+  // ===== Pairing =====
+  // Returns the next round { boards, bye } without adding it; throws when it cannot be paired
+  function pairNextRound(state) {
+    if (state.rounds.length >= state.roundCount) throw new Error("All rounds have been paired.");
+    const last = state.rounds[state.rounds.length - 1];
+    if (last && !isRoundComplete(last)) throw new Error(`Enter every result of round ${state.rounds.length} first.`);
+
+    const scores = playerScores(state);
+    const met = state.players.map(() => new Set());
+    const hadBye = state.players.map(() => false);
+    for (const round of state.rounds) {
+      if (round.bye !== null) hadBye[round.bye] = true;
+      for (const { red, black } of round.boards) {
+        met[red].add(black);
+        met[black].add(red);
+      }
+    }
+    const prefs = colourHistory(state).map(colourPreference);
+
+    const order = state.players
+      .map((_, i) => i)
+      .sort((a, b) => scores[b] - scores[a] || compareRating(state.players[a], state.players[b]) || a - b);
+
+    let bye = null;
+    if (order.length % 2 === 1) {
+      const fromBottom = order.slice().reverse();
+      bye = fromBottom.find((i) => !hadBye[i]);
+      if (bye === undefined) bye = fromBottom[0];
+    }
+    const pool = order.filter((i) => i !== bye);
+
+    const pairs = pairPool(pool, scores, met, prefs, false) || pairPool(pool, scores, met, prefs, true);
+    return { boards: pairs.map(([a, b], boardIndex) => assignColours(a, b, prefs, boardIndex)), bye };
+  }
+
+  // pool is in placing order. Every player's ideal opponent is the one half a score group below
+  // (or above); candidates are tried by score difference, distance from that ideal, colour clash.
+  // Returns [[a, b]] or null when no pairing avoids repeat opponents (unless allowRepeats).
+  function pairPool(pool, scores, met, prefs, allowRepeats) {
+    const position = new Map(pool.map((player, i) => [player, i]));
+    const ideal = new Map();
+    for (let start = 0; start < pool.length; ) {
+      let end = start;
+      while (end < pool.length && scores[pool[end]] === scores[pool[start]]) end++;
+      const half = Math.floor((end - start) / 2);
+      for (let i = start; i < end; i++) {
+        const offset = i - start;
+        ideal.set(pool[i], offset < half ? i + half : i - half);
+      }
+      start = end;
+    }
+
+    const clash = (p, q) =>
+      prefs[p].want && prefs[p].want === prefs[q].want && prefs[p].strength >= 1 && prefs[q].strength >= 1 ? 1 : 0;
+    const cost = (p, q) => [
+      Math.abs(scores[p] - scores[q]),
+      clash(p, q),
+      Math.abs(position.get(q) - ideal.get(p)),
+    ];
+    const compare = (x, y) => x.findIndex((v, i) => v !== y[i]);
+
+    let attempts = 0;
+    const search = (remaining) => {
+      if (remaining.length === 0) return [];
+      if (++attempts > SEARCH_LIMIT) return null;
+      const [p, ...rest] = remaining;
+      const candidates = rest
+        .filter((q) => allowRepeats || !met[p].has(q))
+        .map((q) => ({ q, cost: cost(p, q) }))
+        .sort((a, b) => {
+          const i = compare(a.cost, b.cost);
+          return i < 0 ? 0 : a.cost[i] - b.cost[i];
+        });
+      for (const { q } of candidates) {
+        const tail = search(rest.filter((x) => x !== q));
+        if (tail) return [[p, q], ...tail];
+        if (attempts > SEARCH_LIMIT) return null;
+      }
+      return null;
+    };
+    return search(pool);
+  }
+
+  return {
+    BOARD_RESULTS,
+    parsePairingPlayers,
+    compareRating,
+    createTournament,
+    isRoundComplete,
+    roundTokens,
+    playerScores,
+    colourHistory,
+    pairNextRound,
+    toPlayerRows,
+    toGroupText,
+  };
+});
@@ -0,0 +1,166 @@
+// Table Import (no DOM)
+// - Turns .csv / .tsv text and .xlsx / .xls sheets (crosstables from pairing software) into groups
+// - A column mapping says which column holds name, rating, K, each round and the total;
+//   it is guessed from the header row and can be changed in the calculator panel
+// - Rows that cannot be used are returned as `skipped` instead of being dropped silently
+// - Sheets are read as the cells are shown, so a rating formatted as "1,698" loses its thousands
+//   separators before it is parsed
+//
+// Loads in the browser as window.TableImport and in Node via require("./tableImport.js").
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./ratingCore.js"));
+  } else {
+    root.TableImport = factory(root.RatingCore);
+  }
+})(typeof self !== "undefined" ? self : this, function (RatingCore) {
+  "use strict";
+
+  const { parseDelimitedText, parsePlayerRows } = RatingCore;
+
+  // Header keywords (compared lower-case, without spaces)
+  const HEADER_PATTERNS = {
+    name: /^(姓名|棋手|名字|选手|name|player|playername)$/,
+    rating: /^(等级分|原等级分|rating|rtg|elo)$/,
+    k: /^(k|k值|kfactor|k-factor)$/,
+    total: /^(总得分|总分|得分|积分|total|score|pts|points)$/,
+    round: /^(第\d+轮|r\d+|rd\d+|round\d+|\d+)$/,
+  };
+
+  // How many rows from the top are searched for a header
+  const HEADER_SEARCH_ROWS = 10;
+
+  function normalizeHeader(cell) {
+    return String(cell === undefined || cell === null ? "" : cell).replace(/\s/g, "").toLowerCase();
+  }
+
+  // Excel style column letter: 0 -> A, 26 -> AA
+  function columnLetter(index) {
+    let n = index + 1;
+    let letters = "";
+    while (n > 0) {
+      const rem = (n - 1) % 26;
+      letters = String.fromCharCode(65 + rem) + letters;
+      n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+  }
+
+  // "1,698" -> "1698"; anything else (including "1,6") is left for the row checks
+  function stripThousandsSeparators(text) {
+    return /^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text) ? text.replace(/,/g, "") : text;
+  }
+
+  function readDelimitedTable(text, fileName) {
+    const delimiter = /\.tsv$/i.test(fileName) ? "\t" : ",";
+    return parseDelimitedText(text, delimiter);
+  }
+
+  // One table per sheet: [{ sheetName, rows: string[][] }]
+  function readWorkbookTables(XLSX, data) {
+    const workbook = XLSX.read(data, { type: "array" });
+    return workbook.SheetNames.map((sheetName) => ({
+      sheetName,
+      rows: XLSX.utils
+        .sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: false, defval: "" })
+        .map((row) => row.map((cell) => String(cell).trim())),
+    }));
+  }
+
+  function findHeaderRow(rows) {
+    const limit = Math.min(rows.length, HEADER_SEARCH_ROWS);
+    for (let r = 0; r < limit; r++) {
+      const cells = rows[r].map(normalizeHeader);
+      const hasName = cells.some((c) => HEADER_PATTERNS.name.test(c));
+      const hasRating = cells.some((c) => HEADER_PATTERNS.rating.test(c));
+      if (hasName && hasRating) return r;
+    }
+    return -1;
+  }
+
+  // mapping: { headerRowIndex, name, rating, k, rounds: number[], total }
+  // (column indexes, k = -1 when the table has no K column)
+  function guessColumnMapping(rows) {
+    const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const headerRowIndex = findHeaderRow(rows);
+
+    if (headerRowIndex === -1) {
+      // No header: same order as the .txt format (name, rating, K, rounds..., total)
+      return {
+        headerRowIndex: -1,
+        name: 0,
+        rating: 1,
+        k: 2,
+        rounds: Array.from({ length: Math.max(0, width - 4) }, (_, i) => 3 + i),
+        total: Math.max(3, width - 1),
+      };
+    }
+
+    const cells = rows[headerRowIndex].map(normalizeHeader);
+    const find = (pattern) => cells.findIndex((c) => pattern.test(c));
+
+    const mapping = {
+      headerRowIndex,
+      name: find(HEADER_PATTERNS.name),
+      rating: find(HEADER_PATTERNS.rating),
+      k: find(HEADER_PATTERNS.k),
+      rounds: [],
+      total: find(HEADER_PATTERNS.total),
+    };
+
+    const used = new Set([mapping.name, mapping.rating, mapping.k, mapping.total]);
+    cells.forEach((c, i) => {
+      if (!used.has(i) && HEADER_PATTERNS.round.test(c)) mapping.rounds.push(i);
+    });
+
+    // A rank/number column ("1", "2", ...) before the name is not a round
+    mapping.rounds = mapping.rounds.filter((i) => i > mapping.name);
+
+    if (mapping.total === -1) mapping.total = width - 1;
+    return mapping;
+  }
+
+  // Converts table rows into player rows (name, rating, K, r1..rN, total).
+  // Returns { players, skipped, roundCount } like parsePlayerRows.
+  function applyColumnMapping(rows, mapping) {
+    const pick = (row, col) => (col >= 0 && row[col] !== undefined ? String(row[col]).trim() : "");
+    const pickNumber = (row, col) => stripThousandsSeparators(pick(row, col));
+    const firstDataRow = mapping.headerRowIndex + 1;
+
+    const mapped = rows.slice(firstDataRow).map((row) => {
+      if (row.every((cell) => String(cell).trim() === "")) return row;
+      return [
+        pick(row, mapping.name),
+        pickNumber(row, mapping.rating),
+        pickNumber(row, mapping.k),
+        ...mapping.rounds.map((col) => pick(row, col)),
+        pickNumber(row, mapping.total),
+      ];
+    });
+
+    const { players, skipped } = parsePlayerRows(mapped, firstDataRow + 1);
+    return { players, skipped, roundCount: mapping.rounds.length };
+  }
+
+  // Labels for mapping dropdowns, e.g. "C: 等级分"
+  function describeColumns(rows, mapping) {
+    const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const header = mapping.headerRowIndex >= 0 ? rows[mapping.headerRowIndex] : [];
+    return Array.from({ length: width }, (_, i) => {
+      const title = header[i] ? String(header[i]).trim() : "";
+      return title ? `${columnLetter(i)}: ${title}` : columnLetter(i);
+    });
+  }
+
+  return {
+    HEADER_SEARCH_ROWS,
+    columnLetter,
+    readDelimitedTable,
+    readWorkbookTables,
+    findHeaderRow,
+    guessColumnMapping,
+    applyColumnMapping,
+    describeColumns,
+  };
+});
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// Round trip check for the workbook audit (workbookAudit.js)
+// fixtures/previous-workbook.json holds the sheets of a workbook written by an earlier version of
+// the calculator (rateCli.js on the fixture groups, default rules, K from the bands), read back the
+// way the import reads it (readWorkbookTables). Nobody touched it, so auditing it with the current
+// engine must find no differences: a change in the calculation shows up here before organizers see
+// every cell of their old workbooks flagged.
+//
+// Usage:
+//   node tests/auditRoundTrip.js
+//
+// Exit codes:
+//   0  every group sheet audits clean
+//   1  a sheet differs from a fresh calculation
+
+const fs = require("fs");
+const path = require("path");
+
+const { DEFAULT_RULES_PROFILE } = require("../ratingCore.js");
+const { readRatingWorkbook, auditGroup } = require("../workbookAudit.js");
+
+const FIXTURE = path.join(__dirname, "fixtures", "previous-workbook.json");
+
+function main() {
+  const { tables } = JSON.parse(fs.readFileSync(FIXTURE, "utf8"));
+  const { sheets } = readRatingWorkbook(tables);
+  if (sheets.length === 0) {
+    console.error(`No group sheets in ${FIXTURE}`);
+    return 1;
+  }
+
+  let failed = 0;
+  for (const sheet of sheets) {
+    const { sameRules, differences } = auditGroup(sheet.players, sheet, {
+      roundCount: sheet.roundCount,
+      markPerRound: sheet.markPerRound,
+      rules: DEFAULT_RULES_PROFILE,
+      kSource: "bands",
+    });
+    if (sameRules && differences.length === 0 && sheet.skipped.length === 0) {
+      console.log(`✅ ${sheet.sheetName}: ${sheet.players.length} player(s) match`);
+      continue;
+    }
+    failed++;
+    if (!sameRules) console.error(`⚠️ ${sheet.sheetName}: rules line "${sheet.rulesLabel}" does not match`);
+    for (const row of sheet.skipped) console.error(`⚠️ ${sheet.sheetName}: row ${row.rowNumber} skipped (${row.reason})`);
+    for (const d of differences) {
+      console.error(`⚠️ ${sheet.sheetName} ${d.cell} ${d.player}, ${d.header}: ${d.stored} in the sheet, ${d.calculated} calculated`);
+    }
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
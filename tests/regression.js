@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Regression check for the rating engine (ratingCore.js)
+// fixtures/baseline.json holds, for every group in it, the results of the calculator before the
+// engine was moved out of app.js: rounds and mark as entered on the panel, K from the file, and per
+// player the numbers of the sheet row (average opponent, expected score, change, final rating, floor)
+// plus the name,old,new update lines. Each group is calculated again from its fixtures/*.txt file
+// and compared field by field, so a change in the calculation shows up as the players it moved.
+//
+// Usage:
+//   node tests/regression.js
+//
+// Exit codes:
+//   0  every group matches the baseline
+//   1  a group differs from the baseline
+
+const fs = require("fs");
+const path = require("path");
+
+const { DEFAULT_RULES_PROFILE, parsePlayersFromText, calculateGroup } = require("../ratingCore.js");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const BASELINE = path.join(FIXTURES, "baseline.json");
+
+// "player, field: stored → calculated" for every baseline value the calculation no longer gives
+function compareGroup(stored, results, updateLines) {
+  const differences = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const describe = (value) => (value === undefined ? "(missing)" : JSON.stringify(value));
+
+  const count = Math.max(stored.results.length, results.length);
+  for (let i = 0; i < count; i++) {
+    const before = stored.results[i] || {};
+    const after = results[i] || {};
+    const player = before.name || after.name || `#${i + 1}`;
+    for (const field of Object.keys(before)) {
+      if (!same(before[field], after[field])) {
+        differences.push(`${player}, ${field}: ${describe(before[field])} → ${describe(after[field])}`);
+      }
+    }
+    if (!stored.results[i]) differences.push(`${player}: not in the baseline`);
+  }
+
+  if (!same(stored.updateLines, updateLines)) {
+    differences.push(`update lines: ${describe(stored.updateLines)} → ${describe(updateLines)}`);
+  }
+  return differences;
+}
+
+function main() {
+  const baseline = JSON.parse(fs.readFileSync(BASELINE, "utf8"));
+  let failed = 0;
+
+  for (const [file, stored] of Object.entries(baseline)) {
+    const players = parsePlayersFromText(fs.readFileSync(path.join(FIXTURES, file), "utf8"));
+    const { results, groupUpdateLines } = calculateGroup(players, {
+      groupName: path.basename(file, ".txt"),
+      roundCount: stored.roundCount,
+      markPerRound: stored.markPerRound,
+      rules: DEFAULT_RULES_PROFILE,
+      kSource: stored.kSource,
+    });
+
+    const differences = compareGroup(stored, results, groupUpdateLines);
+    if (differences.length === 0) {
+      console.log(`✅ ${file}: ${results.length} player(s) match`);
+      continue;
+    }
+    failed++;
+    for (const d of differences) console.error(`⚠️ ${file} ${d}`);
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
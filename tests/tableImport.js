@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+// Spreadsheet import check (tableImport.js)
+// Builds an .xlsx crosstable the way pairing software exports it: a header row, ratings formatted
+// with thousands separators ("1,698"), K as plain numbers, and reads it back through
+// readWorkbookTables / guessColumnMapping / applyColumnMapping like the calculator import does.
+// Every row must come through with the rating the cell holds, not the number in front of the comma.
+//
+// Needs xlsx-js-style next to rateCli.js:   npm install xlsx-js-style@1.2.0
+//
+// Usage:
+//   node tests/tableImport.js
+//
+// Exit codes:
+//   0  every row was imported with its rating and K
+//   1  a row is missing, skipped or has a different value
+
+const { readWorkbookTables, guessColumnMapping, applyColumnMapping } = require("../tableImport.js");
+
+// [name, rating, K] per player; the rounds and totals are the same for every case
+const PLAYERS = [
+  ["林同学", 1698, 20],
+  ["陈同学", 1523, 20],
+  ["张同学", 2105, 10],
+  ["李同学", 1657, 20],
+];
+const ROUNDS = [
+  ["L2", "L3", "L4", 0],
+  ["W1", "D4", "W3", 3],
+  ["W4", "W1", "L2", 4],
+  ["L3", "D2", "W1", 3],
+];
+
+function buildWorkbook(XLSX) {
+  const rows = [
+    ["序号", "姓名", "等级分", "K", "1", "2", "3", "总分"],
+    ...PLAYERS.map(([name, rating, k], i) => [i + 1, name, rating, k, ...ROUNDS[i]]),
+  ];
+  const worksheet = XLSX.utils.aoa_to_sheet(rows);
+  for (let r = 1; r < rows.length; r++) {
+    worksheet[XLSX.utils.encode_cell({ r, c: 2 })].z = "#,##0";
+  }
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, "A组");
+  return XLSX.write(workbook, { type: "array", bookType: "xlsx" });
+}
+
+function main() {
+  let XLSX;
+  try {
+    XLSX = require("xlsx-js-style");
+  } catch (err) {
+    console.error("xlsx-js-style is not installed. Run: npm install xlsx-js-style@1.2.0");
+    return 1;
+  }
+
+  const [{ sheetName, rows }] = readWorkbookTables(XLSX, buildWorkbook(XLSX));
+  const { players, skipped, roundCount } = applyColumnMapping(rows, guessColumnMapping(rows));
+
+  const problems = [];
+  if (roundCount !== 3) problems.push(`${roundCount} round column(s) mapped, expected 3`);
+  for (const row of skipped) problems.push(`row ${row.rowNumber} skipped (${row.reason})`);
+  PLAYERS.forEach(([name, rating, k], i) => {
+    const player = players[i];
+    if (!player) problems.push(`${name}: not imported`);
+    else if (player[0] !== name || parseInt(player[1], 10) !== rating || parseInt(player[2], 10) !== k) {
+      problems.push(`${name}: imported as ${player.slice(0, 3).join(",")}, expected ${name},${rating},${k}`);
+    }
+  });
+
+  if (problems.length === 0) {
+    console.log(`✅ ${sheetName}: ${players.length} player(s) imported with their ratings`);
+    return 0;
+  }
+  for (const problem of problems) console.error(`⚠️ ${sheetName}: ${problem}`);
+  return 1;
+}
+
+process.exitCode = main();
@@ -1,101 +1,582 @@
-function processRankUpdate() {
-  const excelInput = document.getElementById("excelFile").files[0];
-  const textInput = document.getElementById("rankUpdateFile").files[0];
+// Update Excel Tool
+// - Applies the name,old,new lines from the calculator to the master workbook in place
+//   (masterWorkbook.js): styles, column widths, merges and the other sheets are kept
+// - The sheet and its header row (with 姓名 / 等级分) are detected and can be changed on the panel
+// - The old rating in each line must equal the rating in the master, otherwise it is a conflict
+//   and the row is left alone (unless conflicts are allowed on the panel)
+// - Sorting by 等级分 is optional and renumbers the chosen rank column
+// - Names are compared after normalization and through the alias table (nameMatching.js), so
+//   full-width spaces or traditional characters no longer end up in "Unmatched Entries"
+// - A name without an exact match gets its nearest names to confirm or reject
+// - A name found on several master rows is matched by its old rating; if that does not decide it,
+//   the row has to be chosen instead of silently updating the first one
+// - Aliases are stored in localStorage and can be edited on the panel
+// - Every run shows the diff (ratings and rank positions) before the download, appends its changes
+//   to the "变更记录" sheet and can save the diff as CSV / HTML (updateReport.js)
+// - The whole file runs in its own scope; only the panel buttons are put on window
 
-  if (!excelInput || !textInput) {
-    alert("Please upload both Excel and Rank Update text files.");
-    return;
+(function () {
+  const { openMasterWorkbook, readSheetRows, setCellNumber, reorderRows, appendRows, writeMasterWorkbook } =
+    window.MasterWorkbook;
+  const {
+    CHANGE_LOG_SHEET,
+    CHANGE_LOG_HEADER,
+    parseRating,
+    formatTimestamp,
+    buildChangeLogRows,
+    buildUpdateDiff,
+    diffToRows,
+    diffToCsv,
+    diffToHtml,
+  } = window.UpdateReport;
+  const {
+    normalizeName,
+    resolveAlias,
+    rankNearMatches,
+    findDuplicateNames,
+    parseAliasText,
+    formatAliasText,
+  } = window.NameMatching;
+  const { findHeaderRow, describeColumns, HEADER_SEARCH_ROWS } = window.TableImport;
+  const { isUnratedRating } = window.RatingCore;
+
+  const ALIAS_STORAGE_KEY = "rankTool.nameAliases";
+
+  const RANK_COLUMN_PATTERN = /^(排名|名次|序号|no\.?|rank)$/i;
+
+  // Waiting for the review step, then for the preview to be confirmed:
+  // { master, sourceFile, sheetName, rows, headerRowIndex, nameIndex, rankIndex, positionIndex,
+  //   applied: [{ name, rowIndex, oldRank, newRank }],
+  //   review: [{ kind: "near" | "duplicate", name, oldRank, newRank, options: [{ rowIndex, label, similarity? }] }],
+  //   unmatched: [name],
+  //   after finishRankUpdate: changes, diff, timestamp }
+  let pendingRankUpdate = null;
+
+  function loadNameAliases() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(ALIAS_STORAGE_KEY) || "{}");
+      return stored && typeof stored === "object" && !Array.isArray(stored) ? stored : {};
+    } catch (err) {
+      console.error("Ignoring broken name aliases in localStorage", err);
+      return {};
+    }
   }
 
-  const reader = new FileReader();
-  reader.onload = function (e) {
-    const data = new Uint8Array(e.target.result);
-    const workbook = XLSX.read(data, { type: "array" });
-    const sheetName = workbook.SheetNames[0];
-    const sheetRaw = workbook.Sheets[sheetName];
-    const sheet = XLSX.utils.sheet_to_json(sheetRaw, { header: 1 });
+  function saveNameAliases(aliases) {
+    localStorage.setItem(ALIAS_STORAGE_KEY, JSON.stringify(aliases));
+  }
 
-    if (!sheet || sheet.length < 2) {
-      alert("The Excel file doesn't contain enough data.");
+  // ===== Master Sheet Choices (sheet, header row, rank column) =====
+  function normalizeHeaderCell(cell) {
+    return String(cell || "").replace(/\s/g, "").trim();
+  }
+
+  // The first sheet with a 姓名 / 等级分 header, else the first sheet
+  function detectMasterSheet(master) {
+    const { SheetNames } = master.workbook;
+    return SheetNames.find((name) => findHeaderRow(readSheetRows(master, name)) !== -1) || SheetNames[0];
+  }
+
+  // Row 2 was the fixed header row before detection existed, so it stays the fallback
+  function detectHeaderRow(rows) {
+    const found = findHeaderRow(rows);
+    return found !== -1 ? found : 1;
+  }
+
+  function fillSelect(id, options, selectedValue) {
+    const select = document.getElementById(id);
+    select.innerHTML = "";
+    for (const [value, text] of options) {
+      const option = document.createElement("option");
+      option.value = String(value);
+      option.textContent = text;
+      select.appendChild(option);
+    }
+    select.value = String(selectedValue);
+  }
+
+  function renderMasterChoices(master, changed) {
+    if (changed !== "sheet" && changed !== "header") {
+      fillSelect("masterSheet", master.workbook.SheetNames.map((n) => [n, n]), detectMasterSheet(master));
+    }
+    const sheetName = document.getElementById("masterSheet").value;
+    const rows = readSheetRows(master, sheetName);
+
+    if (changed !== "header") {
+      const headerOptions = [];
+      for (let r = 0; r < Math.min(rows.length, HEADER_SEARCH_ROWS); r++) {
+        headerOptions.push([r, `Row ${r + 1}: ${rows[r].filter(Boolean).slice(0, 4).join(" | ")}`]);
+      }
+      fillSelect("masterHeaderRow", headerOptions, detectHeaderRow(rows));
+    }
+
+    const headerRowIndex = parseInt(document.getElementById("masterHeaderRow").value, 10);
+    const header = (rows[headerRowIndex] || []).map(normalizeHeaderCell);
+    const columns = describeColumns(rows, { headerRowIndex });
+    fillSelect(
+      "masterRankCol",
+      [[-1, "(none)"], ...columns.map((text, i) => [i, text])],
+      header.findIndex((h) => RANK_COLUMN_PATTERN.test(h))
+    );
+  }
+
+  // Preview of the chosen master: fills the sheet / header row / rank column choices
+  let masterPreview = null;
+
+  function loadMasterPreview() {
+    const file = document.getElementById("excelFile").files[0];
+    masterPreview = null;
+    if (!file) return;
+
+    file
+      .arrayBuffer()
+      .then((buffer) => {
+        masterPreview = openMasterWorkbook(XLSX, new Uint8Array(buffer));
+        renderMasterChoices(masterPreview);
+      })
+      .catch((err) => {
+        console.error(err);
+        alert(`⚠️ ${err.message}`);
+      });
+  }
+
+  // ===== Matching =====
+  function processRankUpdate() {
+    const excelInput = document.getElementById("excelFile").files[0];
+    const textInput = document.getElementById("rankUpdateFile").files[0];
+
+    if (!excelInput || !textInput) {
+      alert("Please upload both Excel and Rank Update text files.");
       return;
     }
 
-    // Use the 2nd row as actual header
-    const headerRow = sheet[1];
-    const header = headerRow.map(cell => (cell || "").toString().replace(/\s/g, "").trim());
+    // The master is read again so every run starts from the unchanged file
+    Promise.all([excelInput.arrayBuffer(), textInput.text()])
+      .then(([buffer, text]) =>
+        prepareRankUpdate(openMasterWorkbook(XLSX, new Uint8Array(buffer)), text, textInput.name)
+      )
+      .catch((err) => {
+        console.error(err);
+        alert(`⚠️ ${err.message || "Failed to read the uploaded files. Please try again."}`);
+      });
+  }
+
+  function prepareRankUpdate(master, text, sourceFile) {
+    // Choices on the panel, or detected when the preview has not filled them yet
+    const sheetSelect = document.getElementById("masterSheet");
+    const sheetName = master.workbook.SheetNames.includes(sheetSelect.value)
+      ? sheetSelect.value
+      : detectMasterSheet(master);
+    const rows = readSheetRows(master, sheetName);
+    const headerValue = parseInt(document.getElementById("masterHeaderRow").value, 10);
+    const headerRowIndex = Number.isInteger(headerValue) && masterPreview ? headerValue : detectHeaderRow(rows);
+    const positionValue = parseInt(document.getElementById("masterRankCol").value, 10);
+    const positionIndex = Number.isInteger(positionValue) ? positionValue : -1;
+
+    if (rows.length < headerRowIndex + 2) {
+      alert("The Excel file doesn't contain enough data.");
+      return;
+    }
 
-    console.log("Detected Headers:", header);
+    const header = rows[headerRowIndex].map(normalizeHeaderCell);
 
     const nameIndex = header.findIndex(h => h === "姓名");
     const rankIndex = header.findIndex(h => h === "等级分");
 
     if (nameIndex === -1 || rankIndex === -1) {
-      alert("⚠️ '姓名' or '等级分' columns not found in the second row.\nDetected Headers: " + header.join(" | "));
+      alert(`⚠️ '姓名' or '等级分' columns not found in row ${headerRowIndex + 1} of "${sheetName}".\nDetected Headers: ` + header.join(" | "));
       return;
     }
 
-    const textReader = new FileReader();
-    textReader.onload = function (e) {
-      const lines = e.target.result.split("\n").filter(Boolean);
+    // name,old,new per line
+    const updates = [];
+    text.split("\n").filter((l) => l.trim()).forEach((line) => {
+      const [name, oldRank, newRank] = line.trim().split(",").map((x) => (x || "").trim());
+      if (name && newRank) updates.push({ name, oldRank, newRank });
+    });
 
-      const updates = {};
-      lines.forEach(line => {
-        const [name, , newRank] = line.trim().split(",");
-        updates[name.trim()] = newRank.trim();
-      });
+    // Master rows below the header: { rowIndex, name, rating }
+    const masterRows = [];
+    for (let i = headerRowIndex + 1; i < rows.length; i++) {
+      const name = rows[i][nameIndex];
+      if (name) masterRows.push({ rowIndex: i, name, rating: rows[i][rankIndex] });
+    }
 
-      const successList = [];
-      const failList = [];
+    const aliases = loadNameAliases();
+    const applied = [];
+    const review = [];
+    const unmatched = [];
 
-      for (const [name, newRank] of Object.entries(updates)) {
-        let matched = false;
+    for (const update of updates) {
+      const target = normalizeName(resolveAlias(update.name, aliases));
+      const matches = masterRows.filter((r) => normalizeName(r.name) === target);
 
-        for (let i = 2; i < sheet.length; i++) {
-          const row = sheet[i];
-          const excelName = (row[nameIndex] || "").toString().trim();
+      if (matches.length === 1) {
+        applied.push({ ...update, rowIndex: matches[0].rowIndex });
+        continue;
+      }
 
-          if (excelName === name) {
-            row[rankIndex] = newRank;
-            matched = true;
-            successList.push(name);
-            break;
-          }
+      if (matches.length > 1) {
+        // Same name more than once: the old rating tells them apart
+        const byRating = matches.filter((r) => sameRating(r.rating, update.oldRank));
+        if (byRating.length === 1) {
+          applied.push({ ...update, rowIndex: byRating[0].rowIndex });
+        } else {
+          review.push({
+            kind: "duplicate",
+            ...update,
+            options: matches.map((r) => ({ rowIndex: r.rowIndex, label: `Row ${r.rowIndex + 1}: ${r.name} · 等级分 ${r.rating}` })),
+          });
         }
+        continue;
+      }
 
-        if (!matched) failList.push(name);
+      const near = rankNearMatches(update.name, masterRows);
+      if (near.length > 0) {
+        review.push({
+          kind: "near",
+          ...update,
+          options: near.map(({ candidate, similarity }) => ({
+            rowIndex: candidate.rowIndex,
+            similarity,
+            label: `Row ${candidate.rowIndex + 1}: ${candidate.name} · 等级分 ${candidate.rating} · ${Math.round(similarity * 100)}% similar`,
+          })),
+        });
+      } else {
+        unmatched.push(update.name);
       }
+    }
 
-      document.getElementById("successList").value = successList.join("\n");
-      document.getElementById("failList").value = failList.join("\n");
+    renderMasterDuplicates(masterRows);
+    pendingRankUpdate = {
+      master,
+      sourceFile,
+      sheetName,
+      rows,
+      headerRowIndex,
+      nameIndex,
+      rankIndex,
+      positionIndex,
+      applied,
+      review,
+      unmatched,
+    };
 
-      // Rebuild full sheet with sorted data
-      const titleRow = sheet[0];      // First row (title or blank)
-      const headerRow = sheet[1];     // Actual headers
-      const dataRows = sheet.slice(2); // Data starts from row 3
+    if (review.length === 0) {
+      finishRankUpdate();
+    } else {
+      renderMatchReview();
+    }
+  }
 
-      // Find the index of 等级分 again (safe sort)
-      const rankIndexInHeader = headerRow.findIndex(h => h && h.toString().replace(/\s/g, "").trim() === "等级分");
+  // Duplicate names in the master sheet, shown for information (they are resolved per update)
+  function renderMasterDuplicates(masterRows) {
+    const box = document.getElementById("masterDuplicates");
+    if (!box) return;
+    const duplicates = findDuplicateNames(masterRows.map((r) => r.name));
+    box.classList.toggle("is-hidden", duplicates.length === 0);
+    box.textContent = duplicates.length
+      ? "⚠️ Names used on more than one row of the master sheet: " +
+        duplicates
+          .map((d) => `${d.name} (rows ${d.indexes.map((i) => masterRows[i].rowIndex + 1).join(", ")})`)
+          .join("; ")
+      : "";
+  }
+
+  function renderMatchReview() {
+    const box = document.getElementById("matchReview");
+    const list = document.getElementById("matchReviewList");
+    list.innerHTML = "";
+
+    pendingRankUpdate.review.forEach((item, index) => {
+      const wrap = document.createElement("div");
+      wrap.className = "match-item";
+
+      const label = document.createElement("label");
+      label.textContent = item.kind === "duplicate"
+        ? `${item.name} (old ${item.oldRank}) is on ${item.options.length} rows, choose the row:`
+        : `${item.name} (old ${item.oldRank}) has no exact match, did you mean:`;
+      wrap.appendChild(label);
+
+      const select = document.createElement("select");
+      select.id = `matchChoice${index}`;
+      const options = [["", item.kind === "duplicate" ? "— skip (leave unmatched) —" : "✖ Reject (leave unmatched)"]];
+      item.options.forEach((o) => options.push([String(o.rowIndex), o.label]));
+      for (const [value, text] of options) {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      }
+      wrap.appendChild(select);
+
+      // A confirmed near match can be remembered so it matches directly next time
+      if (item.kind === "near") {
+        const remember = document.createElement("label");
+        remember.className = "match-remember";
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.id = `matchRemember${index}`;
+        checkbox.checked = true;
+        remember.appendChild(checkbox);
+        remember.appendChild(document.createTextNode(" Remember as alias"));
+        wrap.appendChild(remember);
+      }
+
+      list.appendChild(wrap);
+    });
+
+    box.classList.remove("is-hidden");
+  }
+
+  function applyMatchReview() {
+    if (!pendingRankUpdate) return;
+    const { rows, nameIndex, review, applied, unmatched } = pendingRankUpdate;
+    const aliases = loadNameAliases();
+
+    review.forEach((item, index) => {
+      const value = document.getElementById(`matchChoice${index}`).value;
+      if (!value) {
+        unmatched.push(item.name);
+        return;
+      }
+      const rowIndex = parseInt(value, 10);
+      applied.push({ name: item.name, oldRank: item.oldRank, newRank: item.newRank, rowIndex });
 
-      // Sort data descending by 等级分
-      const sortedRows = [...dataRows].sort((a, b) => {
-        const rankA = parseFloat(a[rankIndexInHeader]) || 0;
-        const rankB = parseFloat(b[rankIndexInHeader]) || 0;
-        return rankB - rankA;
+      const remember = document.getElementById(`matchRemember${index}`);
+      if (remember && remember.checked) aliases[item.name] = rows[rowIndex][nameIndex];
+    });
+
+    saveNameAliases(aliases);
+    renderAliasEditor();
+    finishRankUpdate();
+  }
+
+  function cancelMatchReview() {
+    pendingRankUpdate = null;
+    document.getElementById("matchReview").classList.add("is-hidden");
+  }
+
+  // ===== Writing =====
+  function toCellNumber(value) {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : value;
+  }
+
+  // Ratings are compared as numbers: the master shows them formatted ("1500.0", "1,500")
+  function sameRating(a, b) {
+    const n = parseRating(a);
+    return n !== null && n === parseRating(b);
+  }
+
+  // Applies the updates to the workbook in memory and shows the diff; nothing is downloaded
+  // until the preview is confirmed
+  function finishRankUpdate() {
+    const { master, sheetName, rows, headerRowIndex, nameIndex, rankIndex, positionIndex, applied, unmatched } =
+      pendingRankUpdate;
+    document.getElementById("matchReview").classList.add("is-hidden");
+
+    // Rating and position of every named data row before anything changes
+    const namedBefore = [];
+    for (let i = headerRowIndex + 1; i < rows.length; i++) {
+      if (rows[i][nameIndex]) namedBefore.push({ rowIndex: i, name: rows[i][nameIndex], oldRating: rows[i][rankIndex] });
+    }
+
+    const allowConflicts = document.getElementById("allowRatingConflicts").checked;
+    const successList = [];
+    const conflictList = [];
+    const changes = [];
+
+    for (const { name, rowIndex, oldRank, newRank } of applied) {
+      // Safety check: the update must start from the rating the master has now
+      const current = rows[rowIndex][rankIndex];
+      // A player rated for the first time (old NR) matches an empty or NR cell
+      const firstRating = isUnratedRating(oldRank) && isUnratedRating(current);
+      const conflict = oldRank && !firstRating && !sameRating(current, oldRank);
+      if (conflict) {
+        conflictList.push(`${name}: master row ${rowIndex + 1} has ${current || "(empty)"}, update file says ${oldRank}`);
+        if (!allowConflicts) continue;
+      }
+      setCellNumber(master, sheetName, rowIndex, rankIndex, toCellNumber(newRank));
+      rows[rowIndex][rankIndex] = newRank;
+      successList.push(name);
+      changes.push({
+        name: rows[rowIndex][nameIndex],
+        oldRating: current,
+        newRating: newRank,
+        note: conflict ? `原等级分不符 (更新文件: ${oldRank})` : "",
       });
+    }
 
-      // Reassemble final sorted sheet
-      const finalSheetData = [titleRow, headerRow, ...sortedRows];
-      const updatedSheet = XLSX.utils.aoa_to_sheet(finalSheetData);
-      const newWorkbook = XLSX.utils.book_new();
-      XLSX.utils.book_append_sheet(newWorkbook, updatedSheet, sheetName);
-      XLSX.writeFile(newWorkbook, "Updated_Rankings.xlsx");
+    document.getElementById("successList").value = successList.join("\n");
+    document.getElementById("failList").value = unmatched.join("\n");
+    document.getElementById("conflictList").value = conflictList.join("\n");
 
-      XLSX.utils.book_append_sheet(newWorkbook, updatedSheet, sheetName);
-      XLSX.writeFile(newWorkbook, "Updated_Rankings.xlsx");
-    };
+    let order = null;
+    if (document.getElementById("sortByRating").checked) {
+      try {
+        order = sortMasterRows(master, sheetName, rows, headerRowIndex, nameIndex, rankIndex, positionIndex);
+      } catch (err) {
+        alert(`⚠️ ${err.message} The ratings were still updated.`);
+      }
+    }
+
+    // Positions count named rows only, in the order they end up in
+    const newPositions = new Map();
+    (order || namedBefore.map((e) => e.rowIndex))
+      .filter((rowIndex) => rows[rowIndex][nameIndex])
+      .forEach((rowIndex, i) => newPositions.set(rowIndex, i + 1));
+
+    const diff = buildUpdateDiff(
+      namedBefore.map((e, i) => ({
+        name: e.name,
+        oldRating: e.oldRating,
+        newRating: rows[e.rowIndex][rankIndex],
+        oldPosition: i + 1,
+        newPosition: newPositions.get(e.rowIndex),
+      }))
+    );
+
+    pendingRankUpdate = { ...pendingRankUpdate, changes, diff, timestamp: formatTimestamp(new Date()) };
+    renderUpdatePreview();
+  }
+
+  function renderUpdatePreview() {
+    const { diff, changes } = pendingRankUpdate;
+    const body = document.getElementById("updatePreviewBody");
+    body.innerHTML = "";
+
+    for (const row of diffToRows(diff)) {
+      const tr = document.createElement("tr");
+      for (const value of row) {
+        const td = document.createElement("td");
+        td.textContent = String(value);
+        tr.appendChild(td);
+      }
+      body.appendChild(tr);
+    }
+
+    const moved = diff.filter((e) => e.positionChange !== 0).length;
+    document.getElementById("updatePreviewSummary").textContent =
+      `${changes.length} rating(s) updated, ${moved} player(s) changed position. ` +
+      "Check the changes below, then download.";
+    document.getElementById("updatePreview").classList.remove("is-hidden");
+  }
+
+  // Confirmed: the change log is appended to the workbook and the file is downloaded
+  function confirmRankUpdate() {
+    if (!pendingRankUpdate || !pendingRankUpdate.diff) return;
+    const { master, changes, timestamp, sourceFile } = pendingRankUpdate;
+
+    const logRows = buildChangeLogRows(changes, { timestamp, sourceFile });
+    if (logRows.length > 0) {
+      const header = master.sheetPaths[CHANGE_LOG_SHEET] ? [] : [CHANGE_LOG_HEADER];
+      appendRows(master, CHANGE_LOG_SHEET, [...header, ...logRows]);
+    }
+
+    downloadUpdateFile(
+      "Updated_Rankings.xlsx",
+      writeMasterWorkbook(master),
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+
+    // The workbook has been written; a new run starts from the files again
+    pendingRankUpdate = null;
+    document.getElementById("updatePreview").classList.add("is-hidden");
+  }
+
+  function cancelUpdatePreview() {
+    pendingRankUpdate = null;
+    document.getElementById("updatePreview").classList.add("is-hidden");
+  }
+
+  function downloadUpdateDiff(format) {
+    if (!pendingRankUpdate || !pendingRankUpdate.diff) return;
+    const { diff, timestamp, sourceFile } = pendingRankUpdate;
+    const stamp = timestamp.replace(/[: ]/g, "-");
+
+    if (format === "csv") {
+      downloadUpdateFile(`Rating_Changes_${stamp}.csv`, diffToCsv(diff), "text/csv");
+    } else {
+      const title = `等级分变更 ${timestamp}`;
+      downloadUpdateFile(`Rating_Changes_${stamp}.html`, diffToHtml(diff, { title, timestamp, sourceFile }), "text/html");
+    }
+  }
+
+  function downloadUpdateFile(filename, content, type) {
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(new Blob([content], { type }));
+    a.download = filename;
+    a.click();
+  }
+
+  // Sorts the data rows (header + 1 to the last row with a name) descending by 等级分;
+  // rows without a name stay at the bottom of that block. Returns the old row indexes in their new order.
+  function sortMasterRows(master, sheetName, rows, headerRowIndex, nameIndex, rankIndex, positionIndex) {
+    const firstRow = headerRowIndex + 1;
+    let lastRow = rows.length - 1;
+    while (lastRow >= firstRow && !rows[lastRow][nameIndex]) lastRow--;
+    if (lastRow < firstRow) return null;
+
+    const indexes = Array.from({ length: lastRow - firstRow + 1 }, (_, i) => firstRow + i);
+    const order = [...indexes].sort((a, b) => {
+      const named = Number(Boolean(rows[b][nameIndex])) - Number(Boolean(rows[a][nameIndex]));
+      if (named !== 0) return named;
+      return (parseRating(rows[b][rankIndex]) || 0) - (parseRating(rows[a][rankIndex]) || 0);
+    });
+
+    reorderRows(master, sheetName, firstRow, order);
+
+    if (positionIndex >= 0) {
+      let position = 0;
+      order.forEach((oldIndex, i) => {
+        if (rows[oldIndex][nameIndex]) setCellNumber(master, sheetName, firstRow + i, positionIndex, ++position);
+      });
+    }
+    return order;
+  }
+
+  // ===== Alias Table =====
+  function renderAliasEditor() {
+    const textarea = document.getElementById("aliasText");
+    if (textarea) textarea.value = formatAliasText(loadNameAliases());
+  }
+
+  function saveAliasEditor() {
+    const { aliases, errors } = parseAliasText(document.getElementById("aliasText").value);
+    if (errors.length > 0) {
+      alert("⚠️ Use one alias per line as: other spelling = name in the master sheet\n" +
+        errors.map((e) => `Line ${e.lineNumber}: ${e.text}`).join("\n"));
+      return;
+    }
+    saveNameAliases(aliases);
+    renderAliasEditor();
+    alert(`✅ ${Object.keys(aliases).length} alias(es) saved.`);
+  }
+
+  // Buttons on the Update Excel panel (onclick in index.html)
+  Object.assign(window, {
+    processRankUpdate,
+    applyMatchReview,
+    cancelMatchReview,
+    confirmRankUpdate,
+    cancelUpdatePreview,
+    downloadUpdateDiff,
+    saveAliasEditor,
+  });
+
+  (function initUpdateExcelUI() {
+    const excelInput = document.getElementById("excelFile");
+    if (!excelInput) return;
 
-    textReader.readAsText(textInput, "utf-8");
-  };
+    excelInput.addEventListener("change", loadMasterPreview);
+    document.getElementById("masterSheet").addEventListener("change", () => {
+      if (masterPreview) renderMasterChoices(masterPreview, "sheet");
+    });
+    document.getElementById("masterHeaderRow").addEventListener("change", () => {
+      if (masterPreview) renderMasterChoices(masterPreview, "header");
+    });
 
-  reader.readAsArrayBuffer(excelInput);
-}
+    renderAliasEditor();
+  })();
+})();
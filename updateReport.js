@@ -0,0 +1,148 @@
+// Update Report (no DOM)
+// - Rows for the "变更记录" (change log) sheet that every Update Excel run appends to the master
+// - Diff of one update: rating changes and rank positions before / after the re-sort,
+//   as rows for the preview table, as CSV and as a standalone HTML page
+//
+// Loads in the browser as window.UpdateReport and in Node via require("./updateReport.js").
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.UpdateReport = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const CHANGE_LOG_SHEET = "变更记录";
+  const CHANGE_LOG_HEADER = ["时间", "姓名", "原等级分", "新等级分", "变化", "来源文件", "备注"];
+  const DIFF_HEADER = ["姓名", "原排名", "新排名", "排名变化", "原等级分", "新等级分", "变化"];
+
+  // Ratings as read from the master are display text ("1500.0", "1,500"): the number, or null
+  function parseRating(value) {
+    const text = String(value === undefined || value === null ? "" : value).replace(/,/g, "").trim();
+    const n = Number(text);
+    return text !== "" && Number.isFinite(n) ? n : null;
+  }
+
+  function toNumber(value) {
+    const n = parseRating(value);
+    return n !== null ? n : value;
+  }
+
+  function formatSigned(n) {
+    if (!Number.isFinite(n) || n === 0) return "";
+    return n > 0 ? `+${n}` : String(n);
+  }
+
+  // "YYYY-MM-DD HH:MM" in local time, for the 时间 column and the diff file names
+  function formatTimestamp(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return (
+      `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}`
+    );
+  }
+
+  // changes: [{ name, oldRating, newRating, note? }]
+  function buildChangeLogRows(changes, { timestamp, sourceFile }) {
+    return changes.map((c) => {
+      const oldRating = toNumber(c.oldRating);
+      const newRating = toNumber(c.newRating);
+      const delta = typeof oldRating === "number" && typeof newRating === "number" ? newRating - oldRating : "";
+      return [timestamp, c.name, oldRating, newRating, delta, sourceFile, c.note || ""];
+    });
+  }
+
+  // entries: every named data row [{ name, oldRating, newRating, oldPosition, newPosition }]
+  // Returns only the rows whose rating or position changed, in their new order
+  function buildUpdateDiff(entries) {
+    return entries
+      .map((e) => {
+        const oldRating = toNumber(e.oldRating);
+        const newRating = toNumber(e.newRating);
+        return {
+          ...e,
+          ratingChange: typeof oldRating === "number" && typeof newRating === "number" ? newRating - oldRating : 0,
+          positionChange: e.oldPosition - e.newPosition, // > 0 = moved up
+        };
+      })
+      .filter((e) => e.ratingChange !== 0 || e.positionChange !== 0)
+      .sort((a, b) => a.newPosition - b.newPosition);
+  }
+
+  function diffToRows(diff) {
+    return diff.map((e) => [
+      e.name,
+      e.oldPosition,
+      e.newPosition,
+      formatSigned(e.positionChange),
+      e.oldRating,
+      e.newRating,
+      formatSigned(e.ratingChange),
+    ]);
+  }
+
+  function csvCell(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // With a BOM so Excel opens the Chinese headers correctly
+  function diffToCsv(diff) {
+    const lines = [DIFF_HEADER, ...diffToRows(diff)].map((row) => row.map(csvCell).join(","));
+    return "\uFEFF" + lines.join("\r\n");
+  }
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function diffToHtml(diff, { title, timestamp, sourceFile }) {
+    const head = DIFF_HEADER.map((h) => `<th>${escapeHtml(h)}</th>`).join("");
+    const body = diffToRows(diff)
+      .map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`)
+      .join("\n");
+    return `<!DOCTYPE html>
+<html lang="zh">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: 'Segoe UI', sans-serif; margin: 30px; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: center; }
+  th { background: #f3f6fa; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(timestamp)} · ${escapeHtml(sourceFile)} · ${diff.length} change(s)</p>
+<table>
+<thead><tr>${head}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+  }
+
+  return {
+    CHANGE_LOG_SHEET,
+    CHANGE_LOG_HEADER,
+    DIFF_HEADER,
+    parseRating,
+    formatTimestamp,
+    buildChangeLogRows,
+    buildUpdateDiff,
+    diffToRows,
+    diffToCsv,
+    diffToHtml,
+  };
+});
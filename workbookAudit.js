@@ -0,0 +1,172 @@
+// Workbook Audit (no DOM)
+// - Reads a result workbook written by the calculator (ratingWorkbook.js) back: every group sheet
+//   is recognized by its header row (编号, 棋手, 等级分, K值, 第1轮 ... in any sheet language) and
+//   gives the player rows with their round tokens and totals
+// - The 汇总, 名次 and 达标名单 sheets have no such header and are left out
+// - The stored 平均对手等级分, 期望分, 变化 and 最终等级分 are kept, so a fresh calculation can show
+//   every cell that was changed by hand (or made with other rules)
+//
+// Loads in the browser as window.WorkbookAudit and in Node via require("./workbookAudit.js").
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./ratingCore.js"), require("./tableImport.js"));
+  } else {
+    root.WorkbookAudit = factory(root.RatingCore, root.TableImport);
+  }
+})(typeof self !== "undefined" ? self : this, function (RatingCore, TableImport) {
+  "use strict";
+
+  const {
+    SHEET_LANGUAGES,
+    UNRATED,
+    getSheetLabels,
+    getPlayerRowProblem,
+    isUnratedRating,
+    detectMarkPerRound,
+    calculateGroup,
+  } = RatingCore;
+  const { columnLetter } = TableImport;
+
+  // Result columns that are compared, in sheet order after the total
+  const AUDIT_FIELDS = ["avgOpponent", "expected", "change", "finalRating"];
+  const TOLERANCE = 1e-6; // stored cells are already rounded like the calculation
+
+  function cellText(cell) {
+    return String(cell === undefined || cell === null ? "" : cell).trim();
+  }
+
+  // Column layout of a group sheet from its header row, or null when the row is not one.
+  // Returns { language, roundCount, columns: { avgOpponent, expected, change, finalRating } }
+  function matchGroupHeader(row) {
+    const cell = (c) => cellText(row[c]);
+    for (const language of SHEET_LANGUAGES) {
+      const labels = getSheetLabels(language);
+      if ([labels.id, labels.player, labels.rating, labels.k].some((label, c) => cell(c) !== label)) continue;
+
+      let roundCount = 0;
+      while (cell(4 + roundCount) === labels.round(roundCount + 1)) roundCount++;
+      let col = 4 + roundCount;
+      if (roundCount === 0 || cell(col) !== labels.score) continue;
+      if (cell(col + 1) === labels.ratedScore) col++;
+
+      const columns = {};
+      const matches = AUDIT_FIELDS.every((field, i) => {
+        columns[field] = col + 1 + i;
+        return cell(columns[field]) === labels[field];
+      });
+      if (matches) return { language, roundCount, columns };
+    }
+    return null;
+  }
+
+  // rows: one sheet as string[][] (see readWorkbookTables in tableImport.js).
+  // Returns null when the sheet is not a group sheet, otherwise
+  // { groupName, language, roundCount, markPerRound (null when unclear), rulesLabel, players, skipped,
+  //   stored: [{ rowNumber, avgOpponent, expected, change, finalRating }] (one per player),
+  //   columns: { field: { index, header } } }
+  function readGroupSheet(rows, sheetName) {
+    const headerRowIndex = rows.findIndex((row) => matchGroupHeader(row));
+    if (headerRowIndex === -1) return null;
+
+    const header = rows[headerRowIndex];
+    const { language, roundCount, columns } = matchGroupHeader(header);
+    const scoreCol = 4 + roundCount;
+    const players = [];
+    const skipped = [];
+    const stored = [];
+
+    for (let r = headerRowIndex + 1; r < rows.length; r++) {
+      const row = rows[r];
+      if (row.every((cell) => cellText(cell) === "")) continue;
+      const player = [row[1], row[2], row[3], ...row.slice(4, scoreCol), row[scoreCol]].map(cellText);
+      const problem = getPlayerRowProblem(player);
+      if (problem) {
+        skipped.push({ rowNumber: r + 1, reason: problem, text: player.join(", ") });
+        continue;
+      }
+      players.push(player);
+      const values = { rowNumber: r + 1 };
+      for (const field of AUDIT_FIELDS) values[field] = cellText(row[columns[field]]);
+      stored.push(values);
+    }
+
+    // The group name sits in the row above the header (see calculateGroup)
+    const groupName = cellText((rows[headerRowIndex - 1] || [])[5]) || sheetName;
+    return {
+      groupName,
+      language,
+      roundCount,
+      markPerRound: detectMarkPerRound(players, roundCount),
+      rulesLabel: cellText((rows[1] || [])[0]),
+      players,
+      skipped,
+      stored,
+      columns: Object.fromEntries(
+        AUDIT_FIELDS.map((field) => [field, { index: columns[field], header: cellText(header[columns[field]]) }])
+      ),
+    };
+  }
+
+  // tables: [{ sheetName, rows }]. Returns { sheets: [{ sheetName, ...readGroupSheet }], otherSheets: [name] };
+  // no sheets means the workbook was not written by the calculator
+  function readRatingWorkbook(tables) {
+    const sheets = [];
+    const otherSheets = [];
+    for (const { sheetName, rows } of tables) {
+      const sheet = readGroupSheet(rows, sheetName);
+      if (sheet) sheets.push({ sheetName, ...sheet });
+      else otherSheets.push(sheetName);
+    }
+    return { sheets, otherSheets };
+  }
+
+  // Recalculates one group and compares it with the stored cells.
+  // audit: { language, rulesLabel, stored, columns } from readGroupSheet; settings: { roundCount,
+  // markPerRound, rules, kSource } as for calculateGroup. sameRules is false when the sheet's rules
+  // line names another profile, round count or mark than the recalculation.
+  // Returns { sameRules, differences: [{ cell, player, header, stored, calculated }] }
+  function auditGroup(players, audit, settings) {
+    const { results } = calculateGroup(players, { ...settings, groupName: "" });
+    const labels = getSheetLabels(audit.language);
+    const sameRules =
+      audit.rulesLabel ===
+      labels.rulesLabel(settings.rules.name, settings.rules.version, settings.roundCount, settings.markPerRound);
+
+    const differences = [];
+    results.forEach((r, i) => {
+      const stored = audit.stored[i];
+      if (!stored) return;
+      const calculated = { avgOpponent: r.avgOpponent, expected: r.expected, change: r.change, finalRating: r.finalRank };
+      for (const field of AUDIT_FIELDS) {
+        // Unrated players have no 期望分 / 变化 (empty cells) and NR as 最终等级分 until they get an initial rating
+        if (calculated[field] === null) {
+          if (isUnratedRating(stored[field])) continue;
+        } else {
+          const value = parseFloat(stored[field]);
+          if (Number.isFinite(value) && Math.abs(value - calculated[field]) < TOLERANCE) continue;
+        }
+        const { index, header } = audit.columns[field];
+        const shown =
+          calculated[field] === null
+            ? field === "finalRating" ? UNRATED : ""
+            : field === "change" ? calculated[field].toFixed(1) : String(calculated[field]);
+        differences.push({
+          cell: `${columnLetter(index)}${stored.rowNumber}`,
+          player: r.name,
+          header,
+          stored: stored[field],
+          calculated: shown,
+        });
+      }
+    });
+    return { sameRules, differences };
+  }
+
+  return {
+    matchGroupHeader,
+    readGroupSheet,
+    readRatingWorkbook,
+    auditGroup,
+  };
+});